@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Runs scripts/pm-tcr.js through `truffle exec` from the package root, so that the networks and
+// accounts configured in truffle.js apply. `--network <name>` is passed on to truffle.
+const root = path.join(__dirname, '..');
+const truffle = require.resolve('truffle/build/cli.bundled.js');
+
+const child = spawn(
+  process.execPath,
+  [truffle, 'exec', path.join(root, 'scripts/pm-tcr.js'), ...process.argv.slice(2)],
+  { cwd: root, stdio: 'inherit' },
+);
+
+child.on('exit', code => process.exit(code));
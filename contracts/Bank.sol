@@ -13,48 +13,158 @@ contract Bank {
 
     using SafeMath for uint;
 
+    // Emission schedules, i.e. the number of reserve tokens released by epoch n, given the emissionParameter of epoch n:
+    //  Fixed:          EMISSION_AMOUNT
+    //  GeometricDecay: emission * (1 - 1 / emissionParameter)^(n - k), where k is the epoch the emissionParameter
+    //                  applies from and emission the number of tokens the schedule released by then, EMISSION_AMOUNT at 0
+    //  Halving:        EMISSION_AMOUNT / 2^(n / emissionParameter)
+    //  LinearVesting:  EMISSION_AMOUNT * (emissionParameter - n) / emissionParameter, then 0
+    enum EmissionSchedule { Fixed, GeometricDecay, Halving, LinearVesting }
+
+    // Participants sharing an epoch's inflation besides the majority faction voters, weighted by the stakes they won
+    enum Stakeholder { Challenger, ListingOwner }
+
+    // Fixed-point base of the GeometricDecay rate
+    uint constant RAY = 10 ** 27;
+
     // Global Variables
     EIP20Interface public token;
     uint public BIRTH_DATE; // set once on init
-    uint public constant EPOCH_DURATION = 2592000; // 1 month (HARD)
-    uint public constant INFLATION_DENOMINATOR = 10000; // HARD
+    uint public EPOCH_DURATION; // set once on init, e.g. 2592000 for 1 month
+    uint public INFLATION_CLAIM_PERIOD; // set once on init, the number of epochs an epoch's inflation can be claimed for after it ends
+    EmissionSchedule public EMISSION_SCHEDULE; // set once on init
+    uint public EMISSION_AMOUNT; // set once on init, the number of reserve tokens released by epoch 0
     address public owner;
+    address public parameterizer; // set once by the owner, the Parameterizer governing the Bank's parameters
+    uint public carriedInflation; // Inflation of epochs, or shares of epochs, without participants, carried forward to the next epoch resolved with participants
 
     struct Epoch {
-        uint tokens;    // Aggregate number of votingRights used by the majority bloc voters
+        uint tokens;    // Aggregate number of votingRights used by the majority bloc voters and minority participation tokens
         uint inflation; // Number of reserve tokens an epoch will inflate the supply for voters to claim
         bool resolved;  // Indicates that the epoch was resolved and inflation rewards were transferred to Registry
+        uint claimedInflation; // Number of inflation tokens claimed by voters and stakeholders
+        bool swept;     // Indicates that the unclaimed inflation was swept back to the reserve
         mapping(address => uint) voterTokens;
+        mapping(address => uint) voterInflationClaims; // Number of inflation tokens each voter has claimed so far
+        mapping(uint => uint) stakes; // Aggregate stakes won, by Stakeholder
+        mapping(uint => uint) stakeInflation; // Number of reserve tokens for stakeholders to claim, by Stakeholder
+        mapping(uint => mapping(address => uint)) stakeholderStakes; // Stakes won, by Stakeholder and account
+        mapping(address => bool) stakeInflationClaims; // Indicates whether an account has claimed stake inflation rewards yet
     }
 
     // Maps epochNumbers to associated Epoch data
     mapping(uint => Epoch) public epochs;
 
+    // Parameters governed through the Registry's Parameterizer
+    struct Parameters {
+        uint emissionParameter; // The decay denominator, halving period or vesting period (epochs) of the schedule
+        uint resolverBountyPct; // The percentage of an epoch's inflation paid to whoever resolves it
+        uint challengerInflationPct; // The percentage of the rest shared by successful challengers
+        uint listingOwnerInflationPct; // The percentage of the rest shared by defended listings' owners
+        uint fromEpoch; // The epoch the parameters apply from
+        uint emission; // The GeometricDecay emission of fromEpoch, which the schedule decays from
+    }
+
+    // The epochs parameter updates apply from, in increasing order
+    uint[] public parameterEpochs;
+
+    // Maps the epochs in parameterEpochs to the parameters applying from them
+    mapping(uint => Parameters) parameterUpdates;
+
     // Authorization for state changes
     modifier onlyOwner() {
         require(msg.sender == owner, "Message sender is not authorized");
         _;
     }
 
-    // TODO: convert to factory/proxy convention
-    // TODO: accept EPOCH_DURATION and INFLATION_DENOMINATOR as init args
     /**
-    @dev            Initializer. Can only be called once.
-    @notice         Sets the owner, the ERC20 token, and the BIRTH_DATE
-    @param _token   The address where the ERC20 token contract is deployed
+    @dev Initializer        Can only be called once
+    @param _token           The address where the ERC20 token contract is deployed
+    @param _owner           The address authorized to change the Bank's state, i.e. the Registry
+    @notice _parameters     array of canonical parameters
     */
-    constructor(address _token) public {
+    function init(address _token, address _owner, uint[] _parameters) public {
         require(_token != 0 && address(token) == 0, "Token should currently be zero & not set to zero");
-        owner = msg.sender;
+        require(_owner != 0, "Owner should not be zero");
+        owner = _owner;
         token = EIP20Interface(_token);
         BIRTH_DATE = now;
+
+        // number of seconds in an epoch
+        EPOCH_DURATION = _parameters[0];
+        require(EPOCH_DURATION > 0, "Epoch duration should be greater than zero");
+
+        // number of epochs after an epoch ends before its unclaimed inflation can be swept
+        INFLATION_CLAIM_PERIOD = _parameters[1];
+        require(INFLATION_CLAIM_PERIOD > 0, "Inflation claim period should be greater than zero");
+
+        // EmissionSchedule releasing the reserve: 0 Fixed, 1 GeometricDecay, 2 Halving, 3 LinearVesting
+        require(_parameters[2] <= uint(EmissionSchedule.LinearVesting), "Emission schedule should exist");
+        EMISSION_SCHEDULE = EmissionSchedule(_parameters[2]);
+
+        // number of reserve tokens released by epoch 0
+        EMISSION_AMOUNT = _parameters[3];
     }
 
     /**
-    @dev                        Keeps tally of the total number of tokens revealed by a majority faction
+    @dev                    Authorizes the Parameterizer governing the Bank's parameters to set them.
+                            Can only be called once
+    @notice                 Invoked during Registry.init()
+    @param _parameterizer   The address of the Registry's Parameterizer
+    */
+    function setParameterizer(address _parameterizer) public onlyOwner {
+        require(_parameterizer != 0 && parameterizer == 0, "Parameterizer should currently be zero & not set to zero");
+        parameterizer = _parameterizer;
+    }
+
+    /**
+    @dev                    Records the parameters governed through the Registry's Parameterizer. The first
+                            parameters apply from epoch 0, later updates from the next epoch boundary.
+    @notice                 Invoked by the Parameterizer when it is attached to the Bank and when it
+                            accepts a proposal for one of them
+    @param _parameters      The emission parameter, resolver bounty (%), challenger inflation (%)
+                            and listing owner inflation (%)
+    @return                 The epoch the parameters apply from
+    */
+    function setParameters(uint[] _parameters) public returns (uint fromEpoch) {
+        require(msg.sender == owner || msg.sender == parameterizer, "Message sender is not authorized");
+        // decay denominator, halving period or vesting period of the schedule; ignored by Fixed
+        require(
+            EMISSION_SCHEDULE == EmissionSchedule.Fixed || _parameters[0] > 0,
+            "Emission parameter should be greater than zero"
+        );
+        // percentage of an epoch's inflation paid to whoever resolves it
+        require(_parameters[1] <= 100, "Resolver bounty should be a percentage");
+        // percentages of the rest shared by successful challengers and defended listings' owners; voters share the remainder
+        require(_parameters[2].add(_parameters[3]) <= 100, "Stakeholder inflation should be a percentage");
+
+        uint emission = EMISSION_AMOUNT;
+        // epochs that already started keep their parameters
+        if (parameterEpochs.length > 0) {
+            fromEpoch = getCurrentEpochNumber() + 1;
+            // the GeometricDecay schedule continues from the emission the current parameters reach at fromEpoch
+            emission = getScheduledInflation(fromEpoch);
+        }
+        if (parameterEpochs.length == 0 || parameterEpochs[parameterEpochs.length - 1] < fromEpoch) {
+            parameterEpochs.push(fromEpoch);
+        }
+        parameterUpdates[fromEpoch] = Parameters({
+            emissionParameter: _parameters[0],
+            resolverBountyPct: _parameters[1],
+            challengerInflationPct: _parameters[2],
+            listingOwnerInflationPct: _parameters[3],
+            fromEpoch: fromEpoch,
+            emission: emission
+        });
+    }
+
+    /**
+    @dev                        Keeps tally of the total number of tokens revealed by a majority faction,
+                                and of the participation tokens of its minority faction
     @notice                     Invoked during Registry.resolveChallenge()
     @param _epochNumber         The epoch to increment total tokens
-    @param _totalWinningTokens  The number of tokens revealed by a majority faction
+    @param _totalWinningTokens  The number of tokens revealed by a majority faction, plus the
+                                minorityParticipationPct of the tokens revealed by its minority faction
     */
     function addChallengeWinningTokens(uint _epochNumber, uint _totalWinningTokens) public onlyOwner returns (bool) {
         require(!epochs[_epochNumber].resolved, "Epoch should not be resolved");
@@ -65,39 +175,184 @@ contract Bank {
     }
 
     /**
-    @dev                    Adds the number of tokens revealed by a majority faction voter
+    @dev                    Adds the number of tokens revealed by a majority faction voter. The epoch's tokens
+                            already include them, so they are credited after the epoch is resolved too. Once
+                            its inflation is swept they are not credited, but the claim still succeeds so that
+                            the voter receives the challenge's reward
     @notice                 Invoked during Registry.claimReward()
     @param _epochNumber     The epoch to increment voterTokens
     @param _voter           The address of a voter who claimed rewards during an epoch
     @param _numTokens       The number of token rewards claimed by a voter
     */
     function addVoterRewardTokens(uint _epochNumber, address _voter, uint _numTokens) public onlyOwner returns (bool) {
-        require(!epochs[_epochNumber].resolved);
+        if (epochs[_epochNumber].swept) {
+            return true;
+        }
 
         epochs[_epochNumber].voterTokens[_voter] += _numTokens;
         return true;
     }
 
+    /**
+    @dev                    Credits the participation weight of a revealed minority faction vote to the voter's
+                            tally. The epoch's tokens already include it, added with the majority faction's
+                            tokens when the challenge was resolved, so it is credited after the epoch is
+                            resolved too, until its inflation is swept
+    @notice                 Invoked during Registry.claimParticipationReward()
+    @param _epochNumber     The epoch to increment voterTokens
+    @param _voter           The address of a voter who revealed a minority faction vote during an epoch
+    @param _numTokens       The minorityParticipationPct of the tokens the voter revealed
+    */
+    function addParticipationTokens(uint _epochNumber, address _voter, uint _numTokens) public onlyOwner returns (bool) {
+        Epoch storage epoch = epochs[_epochNumber];
+        require(!epoch.swept, "Epoch inflation should not have been swept");
+
+        epoch.voterTokens[_voter] = epoch.voterTokens[_voter].add(_numTokens);
+        return true;
+    }
+
+    /**
+    @dev                    Adds a stake won by a successful challenger or a defended listing's owner
+    @notice                 Invoked during Registry.resolveChallenge()
+    @param _epochNumber     The epoch the challenge was resolved in
+    @param _stakeholder     Whether the account challenged or owns the listing
+    @param _account         The address of the challenger or listing owner
+    @param _stake           The number of tokens at stake during the challenge
+    */
+    function addStake(uint _epochNumber, Stakeholder _stakeholder, address _account, uint _stake) public onlyOwner {
+        Epoch storage epoch = epochs[_epochNumber];
+        require(!epoch.resolved, "Epoch should not be resolved");
+
+        epoch.stakes[uint(_stakeholder)] = epoch.stakes[uint(_stakeholder)].add(_stake);
+        epoch.stakeholderStakes[uint(_stakeholder)][_account] = epoch.stakeholderStakes[uint(_stakeholder)][_account].add(_stake);
+    }
+
     /**
     @dev                    Resolves an epoch, adds the appropriate inflation amount to the epoch,
-                            then transfers that amount to the Registry
-    @notice                 Invoked during Registry.claimInflationRewards()
+                            then transfers that amount and the resolver bounty to the Registry
+    @notice                 Invoked during Registry.resolveEpoch() and the first inflation rewards claim of an epoch
     @param _epochNumber     The epoch number being resolved
+    @return                 The inflation voters share and the bounty paid to the resolver
     */
-    function resolveEpochInflationTransfer(uint _epochNumber) public onlyOwner returns (uint) {
+    function resolveEpochInflationTransfer(uint _epochNumber) public onlyOwner returns (uint epochInflation, uint resolverBounty) {
         require(_epochNumber < getCurrentEpochNumber(), "Epoch greater than the current epoch");
         Epoch storage epoch = epochs[_epochNumber];
         require(!epoch.resolved, "Epoch has not been resolved yet");
+        require(hasParticipants(_epochNumber), "Epoch should have participants");
 
+        // calculate the inflation, including the inflation carried forward
+        // min(scheduledInflation + carriedInflation, Bank.balance)
+        uint releasedInflation = getEpochInflation(_epochNumber);
+        Parameters storage parameters = parametersAt(_epochNumber);
+        // the resolver's bounty is taken from the epoch's inflation, participants share the rest.
+        // the share of challengers, listing owners or voters is only released if the epoch has any,
+        // otherwise it is carried forward like the inflation of an epoch without participants
+        resolverBounty = releasedInflation.mul(parameters.resolverBountyPct).div(100);
+        uint participantsInflation = releasedInflation.sub(resolverBounty);
+        uint challengerInflation = shareOf(
+            participantsInflation,
+            parameters.challengerInflationPct,
+            epoch.stakes[uint(Stakeholder.Challenger)]
+        );
+        uint ownerInflation = shareOf(
+            participantsInflation,
+            parameters.listingOwnerInflationPct,
+            epoch.stakes[uint(Stakeholder.ListingOwner)]
+        );
+        epochInflation = shareOf(
+            participantsInflation,
+            uint(100).sub(parameters.challengerInflationPct).sub(parameters.listingOwnerInflationPct),
+            epoch.tokens
+        );
+        epoch.inflation = epochInflation;
+        epoch.stakeInflation[uint(Stakeholder.Challenger)] = challengerInflation;
+        epoch.stakeInflation[uint(Stakeholder.ListingOwner)] = ownerInflation;
         // set the epoch's resolved flag as true
         epoch.resolved = true;
-        // calculate the inflation and set it
-        // Bank.balance / inflation_denominator
-        epoch.inflation = getCurrentEpochInflation();
 
         // transfer tokens to Registry
-        require(token.transfer(owner, epoch.inflation), "Failed to transfer epoch inflation to owner");
-        return epoch.inflation;
+        uint transferred = resolverBounty.add(epochInflation).add(challengerInflation).add(ownerInflation);
+        carriedInflation = releasedInflation.sub(transferred);
+        require(token.transfer(owner, transferred), "Failed to transfer epoch inflation to owner");
+        return (epochInflation, resolverBounty);
+    }
+
+    /**
+    @dev                    Records the inflation rewards a voter claimed from an epoch. Voter rewards claimed
+                            after a claim raise the voter's inflation rewards, so only the difference to the
+                            amount claimed so far is paid
+    @notice                 Invoked during Registry.claimInflationRewards()
+    @param _epochNumber     The resolved epoch inflation rewards are being claimed for
+    @param _voter           The address of the voter claiming inflation rewards
+    @return                 The number of tokens the epoch rewards to the voter that were not claimed yet
+    */
+    function claimEpochInflationVoterRewards(uint _epochNumber, address _voter) public onlyOwner returns (uint) {
+        Epoch storage epoch = epochs[_epochNumber];
+        require(epoch.resolved, "Epoch should be resolved");
+        require(!epoch.swept, "Epoch inflation should not have been swept");
+
+        uint epochInflationVoterRewards = getEpochInflationVoterRewards(_epochNumber, _voter);
+        uint unclaimedRewards = epochInflationVoterRewards.sub(epoch.voterInflationClaims[_voter]);
+        epoch.voterInflationClaims[_voter] = epochInflationVoterRewards;
+        epoch.claimedInflation = epoch.claimedInflation.add(unclaimedRewards);
+        return unclaimedRewards;
+    }
+
+    /**
+    @dev                    Records that a challenger or listing owner claimed the inflation rewards of the stakes
+                            they won during an epoch, so they cannot be claimed again
+    @notice                 Invoked during Registry.claimStakeInflationRewards()
+    @param _epochNumber     The resolved epoch inflation rewards are being claimed for
+    @param _account         The address of the challenger or listing owner claiming inflation rewards
+    @return                 The number of tokens the epoch rewards to the account's stakes
+    */
+    function claimEpochInflationStakeRewards(uint _epochNumber, address _account) public onlyOwner returns (uint) {
+        Epoch storage epoch = epochs[_epochNumber];
+        require(epoch.resolved, "Epoch should be resolved");
+        require(!epoch.stakeInflationClaims[_account], "Account should not have claimed the epoch's stake inflation rewards");
+        require(!epoch.swept, "Epoch inflation should not have been swept");
+
+        epoch.stakeInflationClaims[_account] = true;
+        uint epochInflationStakeRewards = getEpochInflationStakeRewards(_epochNumber, _account);
+        epoch.claimedInflation = epoch.claimedInflation.add(epochInflationStakeRewards);
+        return epochInflationStakeRewards;
+    }
+
+    /**
+    @dev                    Resolves an epoch without participants, carrying its inflation forward
+                            to the next epoch resolved with participants. The inflation stays in the reserve.
+    @notice                 Invoked during Registry.rollOverEpoch()
+    @param _epochNumber     The epoch number being resolved
+    @return                 The number of tokens carried forward
+    */
+    function rollOverEpochInflation(uint _epochNumber) public onlyOwner returns (uint) {
+        require(_epochNumber < getCurrentEpochNumber(), "Epoch greater than the current epoch");
+        Epoch storage epoch = epochs[_epochNumber];
+        require(!epoch.resolved, "Epoch should not be resolved");
+        require(!hasParticipants(_epochNumber), "Epoch should not have participants");
+
+        epoch.resolved = true;
+        uint epochInflation = getScheduledInflation(_epochNumber);
+        carriedInflation = carriedInflation.add(epochInflation);
+        return epochInflation;
+    }
+
+    /**
+    @dev                    Closes the claims of an epoch whose claim period is over and returns its unclaimed
+                            inflation, which the owner transfers back to the reserve
+    @notice                 Invoked during Registry.sweepEpochInflation()
+    @param _epochNumber     The epoch number being swept
+    @return                 The number of inflation tokens voters and stakeholders did not claim
+    */
+    function sweepEpochInflation(uint _epochNumber) public onlyOwner returns (uint) {
+        require(inflationSweepable(_epochNumber), "Epoch inflation should be sweepable");
+        Epoch storage epoch = epochs[_epochNumber];
+
+        epoch.swept = true;
+        return epoch.inflation
+            .add(epoch.stakeInflation[uint(Stakeholder.Challenger)])
+            .add(epoch.stakeInflation[uint(Stakeholder.ListingOwner)])
+            .sub(epoch.claimedInflation);
     }
 
     // -------
@@ -114,11 +369,67 @@ contract Bank {
     }
 
     /**
-    @dev        Returns the current epoch inflation rewards
-    @notice     Invoked during Registry.claimInflationRewards() via Bank.resolveEpochInflationTransfer()
+    @dev                    Returns the number of reserve tokens the emission schedule releases in an epoch,
+                            a function of the epoch number and the emission parameter applying to it. The
+                            GeometricDecay schedule decays from the emission of the epoch the parameter applies
+                            from, so that changing the parameter does not make the emission jump
+    @notice                 Invoked during Registry.claimInflationRewards() via Bank.resolveEpochInflationTransfer()
+    @param _epochNumber     The epoch number being examined
+    */
+    function getScheduledInflation(uint _epochNumber) public view returns (uint scheduledInflation) {
+        Parameters storage parameters = parametersAt(_epochNumber);
+        uint emissionParameter = parameters.emissionParameter;
+        if (EMISSION_SCHEDULE == EmissionSchedule.GeometricDecay) {
+            // emission * ((emissionParameter - 1) / emissionParameter)^(n - fromEpoch)
+            uint rate = RAY.sub(RAY.div(emissionParameter));
+            return parameters.emission.mul(rpow(rate, _epochNumber.sub(parameters.fromEpoch))).div(RAY);
+        }
+        if (EMISSION_SCHEDULE == EmissionSchedule.Halving) {
+            uint halvings = _epochNumber.div(emissionParameter);
+            // the emission reaches zero before 2^halvings overflows
+            return halvings < 256 ? EMISSION_AMOUNT.div(2 ** halvings) : 0;
+        }
+        if (EMISSION_SCHEDULE == EmissionSchedule.LinearVesting) {
+            if (_epochNumber >= emissionParameter) {
+                return 0;
+            }
+            return EMISSION_AMOUNT.mul(emissionParameter.sub(_epochNumber)).div(emissionParameter);
+        }
+        return EMISSION_AMOUNT;
+    }
+
+    /**
+    @dev                    Returns the parameters governed through the Registry's Parameterizer that apply to an epoch
+    @param _epochNumber     The epoch number being examined
     */
-    function getCurrentEpochInflation() public view returns (uint epochInflation) {
-        return token.balanceOf(this).div(INFLATION_DENOMINATOR);
+    function getParameters(uint _epochNumber) public view returns (
+        uint emissionParameter,
+        uint resolverBountyPct,
+        uint challengerInflationPct,
+        uint listingOwnerInflationPct
+    ) {
+        Parameters storage parameters = parametersAt(_epochNumber);
+        return (
+            parameters.emissionParameter,
+            parameters.resolverBountyPct,
+            parameters.challengerInflationPct,
+            parameters.listingOwnerInflationPct
+        );
+    }
+
+    /**
+    @dev                    Returns the inflation of an epoch: once resolved, the inflation its voters share;
+                            until then, the scheduled inflation plus the inflation carried forward, capped by the reserve,
+                            which includes the resolver bounty
+    @param _epochNumber     The epoch number being examined
+    */
+    function getEpochInflation(uint _epochNumber) public view returns (uint epochInflation) {
+        if (epochs[_epochNumber].resolved) {
+            return epochs[_epochNumber].inflation;
+        }
+        epochInflation = getScheduledInflation(_epochNumber).add(carriedInflation);
+        uint reserve = token.balanceOf(this);
+        return epochInflation < reserve ? epochInflation : reserve;
     }
 
     /**
@@ -130,6 +441,14 @@ contract Bank {
         return (epochs[_epochNumber].tokens, epochs[_epochNumber].inflation, epochs[_epochNumber].resolved);
     }
 
+    /**
+    @dev                    Returns the inflation claimed by voters and stakeholders during an epoch and whether the rest was swept
+    @param _epochNumber     The epoch number being examined
+    */
+    function getEpochClaimDetails(uint _epochNumber) public view returns (uint claimedInflation, bool swept) {
+        return (epochs[_epochNumber].claimedInflation, epochs[_epochNumber].swept);
+    }
+
     /**
     @dev                    Returns the number of tokens a voter voted within one epoch
     @notice                 Invoked during Bank.getEpochInflationVoterRewards()
@@ -142,13 +461,162 @@ contract Bank {
 
     /**
     @dev                    Returns the number of tokens an epoch will reward to a voter during epoch inflation
-    @notice                 Invoked during Registry.claimInflationRewards()
+    @notice                 Invoked during Registry.claimInflationRewards() via Bank.claimEpochInflationVoterRewards()
     @param _epochNumber     The epoch number being examined
     @param _voter           The address of a voter who claimed rewards during an epoch
     */
     function getEpochInflationVoterRewards(uint _epochNumber, address _voter) public view returns (uint epochInflationVoterRewards) {
+        // epochs without majority faction voters reward no one
+        if (epochs[_epochNumber].tokens == 0) {
+            return 0;
+        }
         uint epochVoterTokens = getEpochVoterTokens(_epochNumber, _voter);
         // (epoch.voterTokens[msg.sender] * epoch.inflation) / epoch.tokens
         return epochVoterTokens.mul(epochs[_epochNumber].inflation).div(epochs[_epochNumber].tokens);
     }
+
+    /**
+    @dev                    Returns the aggregate stakes won during an epoch and the inflation they share,
+                            for successful challengers and for defended listings' owners
+    @param _epochNumber     The epoch number being examined
+    */
+    function getEpochStakeDetails(uint _epochNumber) public view returns (
+        uint challengerStakes,
+        uint challengerInflation,
+        uint listingOwnerStakes,
+        uint listingOwnerInflation
+    ) {
+        Epoch storage epoch = epochs[_epochNumber];
+        return (
+            epoch.stakes[uint(Stakeholder.Challenger)],
+            epoch.stakeInflation[uint(Stakeholder.Challenger)],
+            epoch.stakes[uint(Stakeholder.ListingOwner)],
+            epoch.stakeInflation[uint(Stakeholder.ListingOwner)]
+        );
+    }
+
+    /**
+    @dev                    Returns the stakes an account won during an epoch as a challenger and as a listing owner
+    @param _epochNumber     The epoch number being examined
+    @param _account         The address of a challenger or listing owner
+    */
+    function getEpochStakes(uint _epochNumber, address _account) public view returns (uint challengerStake, uint listingOwnerStake) {
+        Epoch storage epoch = epochs[_epochNumber];
+        return (
+            epoch.stakeholderStakes[uint(Stakeholder.Challenger)][_account],
+            epoch.stakeholderStakes[uint(Stakeholder.ListingOwner)][_account]
+        );
+    }
+
+    /**
+    @dev                    Returns the number of tokens an epoch will reward to the stakes an account won
+    @notice                 Invoked during Registry.claimStakeInflationRewards() via Bank.claimEpochInflationStakeRewards()
+    @param _epochNumber     The epoch number being examined
+    @param _account         The address of a challenger or listing owner
+    */
+    function getEpochInflationStakeRewards(uint _epochNumber, address _account) public view returns (uint epochInflationStakeRewards) {
+        Epoch storage epoch = epochs[_epochNumber];
+        for (uint i = uint(Stakeholder.Challenger); i <= uint(Stakeholder.ListingOwner); i++) {
+            if (epoch.stakes[i] > 0) {
+                // (epoch.stakeholderStakes[stakeholder][account] * epoch.stakeInflation[stakeholder]) / epoch.stakes[stakeholder]
+                epochInflationStakeRewards = epochInflationStakeRewards.add(
+                    epoch.stakeholderStakes[i][_account].mul(epoch.stakeInflation[i]).div(epoch.stakes[i])
+                );
+            }
+        }
+    }
+
+    /**
+    @dev                    Returns whether an account has claimed the stake inflation rewards of an epoch
+    @param _epochNumber     The epoch number being examined
+    @param _account         The address of a challenger or listing owner
+    */
+    function stakeInflationClaimed(uint _epochNumber, address _account) public view returns (bool) {
+        return epochs[_epochNumber].stakeInflationClaims[_account];
+    }
+
+    /**
+    @dev                    Returns whether majority faction voters, successful challengers or defended listings' owners
+                            participated in an epoch
+    @param _epochNumber     The epoch number being examined
+    */
+    function hasParticipants(uint _epochNumber) public view returns (bool) {
+        Epoch storage epoch = epochs[_epochNumber];
+        return epoch.tokens > 0 ||
+            epoch.stakes[uint(Stakeholder.Challenger)] > 0 ||
+            epoch.stakes[uint(Stakeholder.ListingOwner)] > 0;
+    }
+
+    /**
+    @dev                    Returns whether a voter has claimed the inflation rewards of an epoch
+    @param _epochNumber     The epoch number being examined
+    @param _voter           The address of a voter
+    */
+    function inflationClaimed(uint _epochNumber, address _voter) public view returns (bool) {
+        return epochs[_epochNumber].voterInflationClaims[_voter] > 0;
+    }
+
+    /**
+    @dev                    Returns the number of inflation tokens a voter has claimed from an epoch so far
+    @param _epochNumber     The epoch number being examined
+    @param _voter           The address of a voter
+    */
+    function getClaimedInflationVoterRewards(uint _epochNumber, address _voter) public view returns (uint) {
+        return epochs[_epochNumber].voterInflationClaims[_voter];
+    }
+
+    /**
+    @dev                    Returns whether an epoch's unclaimed inflation can be swept back to the reserve:
+                            it was resolved with participants, not swept yet, and INFLATION_CLAIM_PERIOD epochs have
+                            passed since it ended
+    @param _epochNumber     The epoch number being examined
+    */
+    function inflationSweepable(uint _epochNumber) public view returns (bool) {
+        Epoch storage epoch = epochs[_epochNumber];
+        return epoch.resolved && hasParticipants(_epochNumber) && !epoch.swept &&
+            getCurrentEpochNumber() > _epochNumber.add(INFLATION_CLAIM_PERIOD);
+    }
+
+    // ----------------
+    // PRIVATE FUNCTIONS
+    // ----------------
+
+    /**
+    @dev                    Returns the latest parameter update applying from or before an epoch
+    @param _epochNumber     The epoch number being examined
+    */
+    function parametersAt(uint _epochNumber) private view returns (Parameters storage) {
+        require(parameterEpochs.length > 0, "Parameters should have been set");
+        uint i = parameterEpochs.length - 1;
+        // updates are few, search from the latest
+        while (parameterEpochs[i] > _epochNumber) {
+            i--;
+        }
+        return parameterUpdates[parameterEpochs[i]];
+    }
+
+    /**
+    @dev                Returns a percentage of an amount, or zero if nobody shares it
+    @param _amount      The amount being shared
+    @param _pct         The percentage of the amount
+    @param _shares      The aggregate weight of the participants sharing it
+    */
+    function shareOf(uint _amount, uint _pct, uint _shares) private view returns (uint) {
+        return _shares > 0 ? _amount.mul(_pct).div(100) : 0;
+    }
+
+    /**
+    @dev        Raises a RAY fixed-point number to an integer power, by squaring
+    @param _x   The base, a fraction of RAY
+    @param _n   The exponent
+    */
+    function rpow(uint _x, uint _n) private view returns (uint z) {
+        z = _n % 2 != 0 ? _x : RAY;
+        for (_n /= 2; _n != 0; _n /= 2) {
+            _x = _x.mul(_x).div(RAY);
+            if (_n % 2 != 0) {
+                z = z.mul(_x).div(RAY);
+            }
+        }
+    }
 }
@@ -0,0 +1,42 @@
+pragma solidity ^0.4.20;
+
+import "plcr-revival/ProxyFactory.sol";
+import "tokens/eip20/EIP20.sol";
+import "./Bank.sol";
+
+contract BankFactory {
+
+    event NewBank(address creator, EIP20 token, address owner, Bank bank);
+
+    ProxyFactory public proxyFactory;
+    Bank public canonizedBank;
+
+    /// @dev constructor sets the proxyFactory and the canonical Bank contract that proxies delegate to.
+    constructor(ProxyFactory _proxyFactory, Bank _canonizedBank) public {
+        proxyFactory = _proxyFactory;
+        canonizedBank = _canonizedBank;
+    }
+
+    /*
+    @dev deploys and initializes a new Bank contract that holds the reserve of a token
+    @param _token                   an EIP20 token to be held by the new Bank contract
+    @param _owner                   the address authorized to change the Bank's state, i.e. the Registry
+    @param _parameters              array of canonical parameters: epoch duration (seconds), inflation claim period (epochs),
+                                    emission schedule and emission amount
+    */
+    function newBank(
+        EIP20 _token,
+        address _owner,
+        uint[] _parameters
+    ) public returns (Bank) {
+        Bank bank = Bank(proxyFactory.createProxy(canonizedBank, ""));
+        bank.init(
+            _token,
+            _owner,
+            _parameters
+        );
+
+        emit NewBank(msg.sender, _token, _owner, bank);
+        return bank;
+    }
+}
@@ -3,6 +3,7 @@ pragma solidity^0.4.11;
 import "plcr-revival/PLCRVoting.sol";
 import "tokens/eip20/EIP20Interface.sol";
 import "zeppelin/math/SafeMath.sol";
+import "./Bank.sol";
 
 contract Parameterizer {
 
@@ -17,6 +18,7 @@ contract Parameterizer {
     event _ChallengeSucceeded(bytes32 indexed propID, uint indexed challengeID, uint rewardPool, uint totalTokens);
     event _ChallengeFailed(bytes32 indexed propID, uint indexed challengeID, uint rewardPool, uint totalTokens);
     event _RewardClaimed(uint indexed challengeID, uint reward, address indexed voter);
+    event _BankParametersUpdated(uint fromEpoch);
 
 
     // ------
@@ -59,6 +61,7 @@ contract Parameterizer {
     // Global Variables
     EIP20Interface public token;
     PLCRVoting public voting;
+    Bank public bank;
     uint public PROCESSBY = 604800; // 7 days
 
     /**
@@ -113,6 +116,57 @@ contract Parameterizer {
 
         // type of majority out of 100 necessary for proposal success in parameterizer
         set("pVoteQuorum", _parameters[11]);
+
+        // percentage of revealed minority faction tokens credited towards epoch inflation rewards
+        set("minorityParticipationPct", _parameters[12]);
+
+        // decay denominator, halving period or vesting period of the Bank's emission schedule
+        set("emissionParameter", _parameters[13]);
+
+        // percentage of an epoch's inflation paid to whoever resolves it
+        set("resolverBountyPct", _parameters[14]);
+
+        // percentage of an epoch's inflation shared by successful challengers
+        set("challengerInflationPct", _parameters[15]);
+
+        // percentage of an epoch's inflation shared by defended listings' owners
+        set("listingOwnerInflationPct", _parameters[16]);
+
+        // period over which an updated listing's data waits to take effect
+        set("dataUpdateStageLen", _parameters[17]);
+
+        // period a listing can still be challenged after its owner initialized an exit
+        set("exitTimeDelay", _parameters[18]);
+
+        // period after the exit delay during which a listing's owner can finalize the exit
+        set("exitPeriodLen", _parameters[19]);
+
+        // period after a challenge's reveal stage during which the losing party can appeal
+        set("appealWindowLen", _parameters[20]);
+
+        // multiple of the challenge's stake the appellant stakes on an appeal
+        set("appealStakeMultiplier", _parameters[21]);
+
+        // length of commit period for voting on an appeal
+        set("appealCommitStageLen", _parameters[22]);
+
+        // length of reveal period for voting on an appeal
+        set("appealRevealStageLen", _parameters[23]);
+    }
+
+    /**
+    @dev                Attaches the Bank whose emission parameter and inflation split are governed here,
+                        and records their current values for epoch 0. Can only be called once, by the
+                        Bank's owner, after the Bank authorized this Parameterizer
+    @notice             Invoked during Registry.init()
+    @param _bank        The address of the Registry's Bank
+    */
+    function setBank(address _bank) public {
+        require(_bank != 0 && address(bank) == 0);
+        require(Bank(_bank).owner() == msg.sender && Bank(_bank).parameterizer() == address(this));
+
+        bank = Bank(_bank);
+        updateBankParameters();
     }
 
     // -----------------------
@@ -128,11 +182,7 @@ contract Parameterizer {
         uint deposit = get("pMinDeposit");
         bytes32 propID = keccak256(abi.encodePacked(_name, _value));
 
-        if (keccak256(abi.encodePacked(_name)) == keccak256(abi.encodePacked("dispensationPct")) ||
-            keccak256(abi.encodePacked(_name)) == keccak256(abi.encodePacked("pDispensationPct"))) {
-            require(_value <= 100);
-        }
-
+        require(isValid(_name, _value));
         require(!propExists(propID)); // Forbid duplicate proposals
         require(get(_name) != _value); // Forbid NOOP reparameterizations
 
@@ -206,9 +256,14 @@ contract Parameterizer {
         // prop.owner and prop.deposit will be 0, thereby preventing theft
         if (canBeSet(_propID)) {
             // There is no challenge against the proposal. The processBy date for the proposal has not
-            // passed, but the proposal's appExpirty date has passed.
-            set(prop.name, prop.value);
-            emit _ProposalAccepted(_propID, prop.name, prop.value);
+            // passed, but the proposal's appExpirty date has passed. A proposal conflicting with one
+            // accepted since it was made expires instead.
+            if (isValid(prop.name, prop.value)) {
+                set(prop.name, prop.value);
+                emit _ProposalAccepted(_propID, prop.name, prop.value);
+            } else {
+                emit _ProposalExpired(_propID);
+            }
             delete proposals[_propID];
             require(token.transfer(propOwner, propDeposit));
         } else if (challengeCanBeResolved(_propID)) {
@@ -375,7 +430,7 @@ contract Parameterizer {
         challenge.resolved = true;
 
         if (voting.isPassed(prop.challengeID)) { // The challenge failed
-            if(prop.processBy > now) {
+            if(prop.processBy > now && isValid(prop.name, prop.value)) {
                 set(prop.name, prop.value);
             }
             emit _ChallengeFailed(_propID, prop.challengeID, challenge.rewardPool, challenge.winningTokens);
@@ -388,12 +443,69 @@ contract Parameterizer {
     }
 
     /**
-    @dev sets the param keted by the provided name to the provided value
+    @dev checks a value against the bounds of its param and the params it is combined with. Proposals
+    are checked when they are made and again when they are accepted, as a proposal accepted in
+    between may conflict with them, e.g. two inflation percentages summing past 100
+    @param _name the name of the param to be set
+    @param _value the value to set the param to be set
+    */
+    function isValid(string _name, uint _value) view private returns (bool) {
+        bytes32 name = keccak256(abi.encodePacked(_name));
+
+        if (name == keccak256(abi.encodePacked("dispensationPct")) ||
+            name == keccak256(abi.encodePacked("pDispensationPct")) ||
+            name == keccak256(abi.encodePacked("minorityParticipationPct")) ||
+            name == keccak256(abi.encodePacked("resolverBountyPct"))) {
+            return _value <= 100;
+        }
+
+        // challengers and listing owners cannot share more than an epoch's inflation
+        if (name == keccak256(abi.encodePacked("challengerInflationPct"))) {
+            return _value.add(get("listingOwnerInflationPct")) <= 100;
+        }
+        if (name == keccak256(abi.encodePacked("listingOwnerInflationPct"))) {
+            return _value.add(get("challengerInflationPct")) <= 100;
+        }
+
+        // the Bank's emission schedules divide by the emission parameter, and appeals must stake
+        // more than nothing
+        if (name == keccak256(abi.encodePacked("emissionParameter")) ||
+            name == keccak256(abi.encodePacked("appealStakeMultiplier"))) {
+            return _value > 0;
+        }
+        return true;
+    }
+
+    /**
+    @dev sets the param keted by the provided name to the provided value, and pushes the Bank's
+    params to the Bank, which applies them from the next epoch on
     @param _name the name of the param to be set
     @param _value the value to set the param to be set
     */
     function set(string _name, uint _value) private {
-        params[keccak256(abi.encodePacked(_name))] = _value;
+        bytes32 name = keccak256(abi.encodePacked(_name));
+        params[name] = _value;
+
+        if (address(bank) != 0 && (
+            name == keccak256(abi.encodePacked("emissionParameter")) ||
+            name == keccak256(abi.encodePacked("resolverBountyPct")) ||
+            name == keccak256(abi.encodePacked("challengerInflationPct")) ||
+            name == keccak256(abi.encodePacked("listingOwnerInflationPct")))) {
+            updateBankParameters();
+        }
+    }
+
+    /**
+    @dev copies the Bank's params to the Bank
+    */
+    function updateBankParameters() private {
+        uint[] memory parameters = new uint[](4);
+        parameters[0] = get("emissionParameter");
+        parameters[1] = get("resolverBountyPct");
+        parameters[2] = get("challengerInflationPct");
+        parameters[3] = get("listingOwnerInflationPct");
+
+        emit _BankParametersUpdated(bank.setParameters(parameters));
     }
 }
 
@@ -4,6 +4,7 @@ import "tokens/eip20/EIP20Interface.sol";
 import "./Parameterizer.sol";
 import "plcr-revival/PLCRVoting.sol";
 import "zeppelin/math/SafeMath.sol";
+import "dll/DLL.sol";
 import "./Bank.sol";
 
 contract Registry {
@@ -14,20 +15,44 @@ contract Registry {
 
     event _Application(bytes32 indexed listingHash, uint deposit, uint appEndDate, string data, address indexed applicant);
     event _Challenge(bytes32 indexed listingHash, uint challengeID, string data, uint commitEndDate, uint revealEndDate, address indexed challenger);
+    event _ChallengeStake(bytes32 indexed listingHash, uint indexed challengeID, uint stake);
     event _Deposit(bytes32 indexed listingHash, uint added, uint newTotal, address indexed owner);
     event _Withdrawal(bytes32 indexed listingHash, uint withdrew, uint newTotal, address indexed owner);
+    event _ListingDataUpdated(bytes32 indexed listingHash, string data, uint dataUpdateExpiry, address indexed owner);
+    event _ListingDataApplied(bytes32 indexed listingHash);
+    event _ListingOwnershipTransferInitiated(bytes32 indexed listingHash, address indexed owner, address indexed newOwner);
+    event _ListingOwnershipTransferred(bytes32 indexed listingHash, address indexed previousOwner, address indexed newOwner);
     event _ApplicationWhitelisted(bytes32 indexed listingHash);
     event _ApplicationRemoved(bytes32 indexed listingHash);
     event _ListingRemoved(bytes32 indexed listingHash);
     event _ListingWithdrawn(bytes32 indexed listingHash);
+    event _ExitInitialized(bytes32 indexed listingHash, uint exitTime, uint exitTimeExpiry, address indexed owner);
+    event _Appeal(bytes32 indexed listingHash, uint indexed challengeID, uint appealID, uint commitEndDate, uint revealEndDate, uint stake, address indexed appellant);
+    event _AppealResolved(bytes32 indexed listingHash, uint indexed challengeID, uint appealID, bool overturned, uint rewardPool, uint totalTokens);
     event _TouchAndRemoved(bytes32 indexed listingHash);
     event _ChallengeFailed(bytes32 indexed listingHash, uint indexed challengeID, uint rewardPool, uint totalTokens);
     event _ChallengeSucceeded(bytes32 indexed listingHash, uint indexed challengeID, uint rewardPool, uint totalTokens);
     event _RewardClaimed(uint indexed challengeID, uint reward, address indexed voter);
+    event _ParticipationRewardClaimed(uint indexed challengeID, uint participationTokens, address indexed voter);
     event _InflationRewardsClaimed(uint epochNumber, uint epochTokens, uint epochInflation, uint epochInflationVoterRewards, address voter);
-    event _EpochResolved(uint epochNumber, uint epochTokens, uint epochInflation, address resolver);
+    event _StakeInflationRewardsClaimed(uint epochNumber, uint epochInflationStakeRewards, address indexed stakeholder);
+    event _EpochResolved(uint epochNumber, uint epochTokens, uint epochInflation, uint resolverBounty, address resolver);
+    event _EpochRolledOver(uint epochNumber, uint carriedInflation, address resolver);
+    event _EpochInflationSwept(uint epochNumber, uint sweptInflation, address sweeper);
 
     using SafeMath for uint;
+    using DLL for DLL.Data;
+
+    enum ListingStatus {
+        None,                   // No application was made, or the listing was removed
+        Applying,               // In the apply stage
+        ApplicationChallenged,  // In the apply stage, with a challenge being voted on
+        ReadyToWhitelist,       // Apply stage ended unchallenged, waiting for updateStatus
+        Whitelisted,            // Whitelisted, without an unresolved challenge
+        WhitelistChallenged,    // Whitelisted, with a challenge being voted on
+        ChallengeResolvable,    // Voting on the challenge ended, waiting for updateStatus
+        Appealable              // Voting on the challenge ended, in its appeal window
+    }
 
     struct Listing {
         uint applicationExpiry; // Expiration date of apply stage
@@ -35,6 +60,10 @@ contract Registry {
         address owner;          // Owner of Listing
         uint unstakedDeposit;   // Number of tokens in the listing not locked in a challenge
         uint challengeID;       // Corresponds to a PollID in PLCRVoting
+        string data;            // Extra data relevant to the listing, set on application or once an update is applied
+        uint dataUpdateExpiry;  // Expiration date of the challenge window of the pending data update, 0 if none is pending
+        uint exitTime;          // Time the listing may leave the whitelist after its owner initialized an exit
+        uint exitTimeExpiry;    // Expiration date of the period during which the exit can be finalized
     }
 
     struct Challenge {
@@ -45,15 +74,40 @@ contract Registry {
         uint totalTokens;        // (remaining) Number of tokens used in voting by the winning side
         uint totalWinningTokens; // Number of tokens used in voting by the winning side
         uint epochNumber;        // Epoch number at challenge resolution
+        bytes32 listingHash;     // The challenged listingHash
         mapping(address => bool) tokenClaims; // Indicates whether a voter has claimed a reward yet
     }
 
+    struct ListingIndex {
+        DLL.Data list;           // listingHashes, as DLL node IDs, in the order they were added
+        uint count;              // Number of listingHashes in the list
+    }
+
     // Maps challengeIDs to associated challenge data
     mapping(uint => Challenge) public challenges;
 
     // Maps listingHashes to associated listingHash data
     mapping(bytes32 => Listing) public listings;
 
+    // Maps listingHashes to the challengeIDs of every challenge they faced, oldest first
+    mapping(bytes32 => uint[]) private listingChallenges;
+
+    // Maps challengeIDs to the pollID of their appeal, which is also stored in challenges
+    mapping(uint => uint) public appeals;
+
+    // Maps listingHashes to the account their owner is transferring them to
+    mapping(bytes32 => address) public pendingOwners;
+
+    // Maps listingHashes to the data of their pending update, applied once its challenge window passed unchallenged
+    mapping(bytes32 => string) private pendingListingData;
+
+    // Maps resolved pollIDs to the minorityParticipationPct their minority faction was tallied with
+    mapping(uint => uint) private participationPcts;
+
+    // Enumerable indexes of the whitelisted listingHashes and of the pending applications
+    ListingIndex private whitelistIndex;
+    ListingIndex private applicationIndex;
+
     // Global Variables
     EIP20Interface public token;
     PLCRVoting public voting;
@@ -64,17 +118,24 @@ contract Registry {
     /**
     @dev Initializer. Can only be called once.
     @param _token The address where the ERC20 token contract is deployed
+    @param _bank The address of a Bank owned by this Registry
     */
-    function init(address _token, address _voting, address _parameterizer, string _name) public {
+    function init(address _token, address _voting, address _parameterizer, address _bank, string _name) public {
         require(_token != 0 && address(token) == 0, "Token should currently be zero & not set to zero");
         require(_voting != 0 && address(voting) == 0, "Voting should currently be zero & not set to zero");
         require(_parameterizer != 0 && address(parameterizer) == 0, "Parameterizer should currently be zero & not set to zero");
+        require(_bank != 0 && address(bank) == 0, "Bank should currently be zero & not set to zero");
+        require(Bank(_bank).owner() == address(this), "Bank should be owned by the Registry");
 
         token = EIP20Interface(_token);
         voting = PLCRVoting(_voting);
         parameterizer = Parameterizer(_parameterizer);
-        bank = new Bank(token);
+        bank = Bank(_bank);
         name = _name;
+
+        // the Parameterizer governs the Bank's parameters, from epoch 0 on
+        bank.setParameterizer(_parameterizer);
+        parameterizer.setBank(_bank);
     }
 
     // --------------------
@@ -89,17 +150,20 @@ contract Registry {
     @param _data        Extra data relevant to the application. Think IPFS hashes.
     */
     function apply(bytes32 _listingHash, uint _amount, string _data) external {
+        require(_listingHash != 0, "Listing hash should not be zero");
         require(!isWhitelisted(_listingHash), "Listing should not be whitelisted");
         require(!appWasMade(_listingHash), "Application should not have been made");
-        require(_amount >= parameterizer.get("minDeposit"), "Amount should be greater than or equal to the minimum deposit");
+        require(_amount >= getParameter("minDeposit"), "Amount should be greater than or equal to the minimum deposit");
 
         // Sets owner
         Listing storage listing = listings[_listingHash];
         listing.owner = msg.sender;
 
         // Sets apply stage end time
-        listing.applicationExpiry = block.timestamp.add(parameterizer.get("applyStageLen"));
+        listing.applicationExpiry = block.timestamp.add(getParameter("applyStageLen"));
         listing.unstakedDeposit = _amount;
+        listing.data = _data;
+        addToIndex(applicationIndex, _listingHash);
 
         // Transfers tokens from user to Registry contract
         require(token.transferFrom(listing.owner, this, _amount), "Should have transferred tokens from the listing owner to Registry");
@@ -133,7 +197,7 @@ contract Registry {
 
         require(listing.owner == msg.sender, "Listing owner should be the message sender");
         require(_amount <= listing.unstakedDeposit, "Amount should be less than or equal to the listing's unstaked deposit");
-        require(listing.unstakedDeposit - _amount >= parameterizer.get("minDeposit"));
+        require(listing.unstakedDeposit - _amount >= getParameter("minDeposit"));
 
         listing.unstakedDeposit -= _amount;
         require(token.transfer(msg.sender, _amount), "Should have transferred tokens to the message sender");
@@ -142,18 +206,103 @@ contract Registry {
     }
 
     /**
-    @dev                Allows the owner of a listingHash to remove the listingHash from the whitelist
-                        Returns all tokens to the owner of the listingHash
+    @dev                Allows the owner of a whitelisted listingHash to propose new data. The data stays
+                        pending for a challenge window of dataUpdateStageLen and is applied by updateStatus
+                        once the window passed without a challenge, or with a failed one. A successful
+                        challenge removes the listing with its pending data. A new update replaces the
+                        pending one.
+    @param _listingHash A whitelisted listingHash msg.sender is the owner of
+    @param _data        The listing's new data. Think IPFS hashes.
+    */
+    function updateListingData(bytes32 _listingHash, string _data) external {
+        Listing storage listing = listings[_listingHash];
+
+        requireUnchallengedOwner(_listingHash);
+        require(isWhitelisted(_listingHash), "Listing should be whitelisted");
+
+        // an earlier update that passed its challenge window is applied before it is replaced
+        if (dataUpdateCanBeApplied(_listingHash)) {
+            applyListingData(_listingHash);
+        }
+        pendingListingData[_listingHash] = _data;
+        listing.dataUpdateExpiry = block.timestamp.add(getParameter("dataUpdateStageLen"));
+
+        emit _ListingDataUpdated(_listingHash, _data, listing.dataUpdateExpiry, msg.sender);
+    }
+
+    /**
+    @dev                Allows the owner of a listingHash to start transferring it, with its deposit,
+                        to another account, which takes it over by calling acceptListingOwnership.
+                        Transferring to the zero address cancels a pending transfer.
+    @param _listingHash A listingHash msg.sender is the owner of
+    @param _newOwner    The account the listingHash is being transferred to
+    */
+    function transferListingOwnership(bytes32 _listingHash, address _newOwner) external {
+        requireUnchallengedOwner(_listingHash);
+        require(_newOwner != msg.sender, "New owner should not be the listing owner");
+
+        pendingOwners[_listingHash] = _newOwner;
+
+        emit _ListingOwnershipTransferInitiated(_listingHash, msg.sender, _newOwner);
+    }
+
+    /**
+    @dev                Allows the pending owner of a listingHash to take over the listingHash and its
+                        deposit, completing the transfer its owner started.
+    @param _listingHash A listingHash being transferred to msg.sender
+    */
+    function acceptListingOwnership(bytes32 _listingHash) external {
+        Listing storage listing = listings[_listingHash];
+
+        require(pendingOwners[_listingHash] == msg.sender, "Message sender should be the listing's pending owner");
+        require(!challengeExists(_listingHash), "Listing should not have an unresolved challenge");
+
+        address previousOwner = listing.owner;
+        listing.owner = msg.sender;
+        delete pendingOwners[_listingHash];
+        // the previous owner's exit does not carry over
+        listing.exitTime = 0;
+        listing.exitTimeExpiry = 0;
+
+        emit _ListingOwnershipTransferred(_listingHash, previousOwner, msg.sender);
+    }
+
+    /**
+    @dev                Allows the owner of a listingHash to start removing the listingHash from the
+                        whitelist. The listing can still be challenged during the exitTimeDelay, after
+                        which its owner has exitPeriodLen to finalize the exit.
     @param _listingHash A listingHash msg.sender is the owner of.
     */
-    function exit(bytes32 _listingHash) external {
+    function initExit(bytes32 _listingHash) external {
         Listing storage listing = listings[_listingHash];
 
-        require(msg.sender == listing.owner, "Message sender should be the listing's owner");
+        // Only the owner can exit, and not during an ongoing challenge
+        requireUnchallengedOwner(_listingHash);
         require(isWhitelisted(_listingHash), "Listing should be whitelisted");
+        // Cannot restart an exit that can still be finalized
+        require(listing.exitTime == 0 || now > listing.exitTimeExpiry, "Listing should not have an exit in progress");
 
-        // Cannot exit during ongoing challenge
-        require(listing.challengeID == 0 || challenges[listing.challengeID].resolved, "Listing's challengeID should be zero or challenge should be resolved");
+        // Sets the time the listing may leave the whitelist and the end of the exit period
+        listing.exitTime = now.add(getParameter("exitTimeDelay"));
+        listing.exitTimeExpiry = listing.exitTime.add(getParameter("exitPeriodLen"));
+
+        emit _ExitInitialized(_listingHash, listing.exitTime, listing.exitTimeExpiry, msg.sender);
+    }
+
+    /**
+    @dev                Removes a listingHash whose exit delay passed from the whitelist and returns
+                        all tokens to the owner of the listingHash.
+    @param _listingHash A listingHash msg.sender is the owner of.
+    */
+    function finalizeExit(bytes32 _listingHash) external {
+        Listing storage listing = listings[_listingHash];
+
+        // Only the owner can exit, and not during an ongoing challenge
+        requireUnchallengedOwner(_listingHash);
+        require(isWhitelisted(_listingHash), "Listing should be whitelisted");
+        // Can only exit between the end of the exit delay and the end of the exit period
+        require(listing.exitTime > 0, "Listing's exit should have been initialized");
+        require(listing.exitTime < now && now < listing.exitTimeExpiry, "Listing's exit period should be active");
 
         // Remove listingHash & return tokens
         resetListing(_listingHash);
@@ -172,62 +321,67 @@ contract Registry {
     @param _data        Extra data relevant to the challenge. Think IPFS hashes.
     */
     function challenge(bytes32 _listingHash, string _data) external returns (uint challengeID) {
-        Listing storage listing = listings[_listingHash];
-        uint minDeposit = parameterizer.get("minDeposit");
+        return startChallenge(_listingHash, getParameter("minDeposit"), _data);
+    }
 
-        // Listing must be in apply stage or already on the whitelist
-        require(appWasMade(_listingHash) || listing.whitelisted);
-        // Prevent multiple challenges
-        require(listing.challengeID == 0 || challenges[listing.challengeID].resolved, "Listing's challengeID should be zero or challenge should be resolved");
+    /**
+    @dev                Starts a poll like challenge, staking more than minDeposit so high-value listings
+                        can be contested with proportional stakes. The listing matches the stake from
+                        its unstaked deposit, which caps it, and the rewards scale with it.
+    @param _listingHash The listingHash being challenged, whether listed or in application
+    @param _stake       The number of tokens the challenger offers to stake, at least minDeposit
+    @param _data        Extra data relevant to the challenge. Think IPFS hashes.
+    */
+    function challengeWithStake(bytes32 _listingHash, uint _stake, string _data) external returns (uint challengeID) {
+        return startChallenge(_listingHash, _stake, _data);
+    }
 
-        if (listing.unstakedDeposit < minDeposit) {
-            // Not enough tokens, listingHash auto-delisted
-            resetListing(_listingHash);
-            emit _TouchAndRemoved(_listingHash);
-            return 0;
-        }
+    /**
+    @dev                Called by the party that lost a challenge's vote during its appeal window to
+                        start a second poll, with its own commit and reveal stages, that decides the
+                        challenge instead. The appellant stakes appealStakeMultiplier times the
+                        challenge's stake.
+    @param _listingHash The listingHash whose challenge is being appealed
+    */
+    function appeal(bytes32 _listingHash) external returns (uint appealID) {
+        Listing storage listing = listings[_listingHash];
+        uint challengeID = listing.challengeID;
 
-        // Starts poll
-        uint pollID = voting.startPoll(
-            parameterizer.get("voteQuorum"),
-            parameterizer.get("commitStageLen"),
-            parameterizer.get("revealStageLen")
+        require(canBeAppealed(_listingHash), "Challenge should be in its appeal window");
+        // The challenger appeals a failed challenge, the listing's owner a successful one
+        require(
+            msg.sender == (voting.isPassed(challengeID) ? challenges[challengeID].challenger : listing.owner),
+            "Message sender should be the party that lost the vote"
         );
 
-        uint oneHundred = 100; // Kludge that we need to use SafeMath
-        challenges[pollID] = Challenge({
-            challenger: msg.sender,
-            rewardPool: ((oneHundred.sub(parameterizer.get("dispensationPct"))).mul(minDeposit)).div(100),
-            stake: minDeposit,
-            resolved: false,
-            totalTokens: 0,
-            totalWinningTokens: 0,
-            epochNumber: 0
-        });
-
-        // Updates listingHash to store most recent challenge
-        listing.challengeID = pollID;
-
-        // Locks tokens for listingHash during challenge
-        listing.unstakedDeposit -= minDeposit;
+        uint stake = challenges[challengeID].stake.mul(getParameter("appealStakeMultiplier"));
+        appealID = voting.startPoll(
+            getParameter("voteQuorum"),
+            getParameter("appealCommitStageLen"),
+            getParameter("appealRevealStageLen")
+        );
+        addChallenge(_listingHash, appealID, stake);
+        appeals[challengeID] = appealID;
 
-        // Takes tokens from challenger
-        require(token.transferFrom(msg.sender, this, minDeposit));
+        // Takes tokens from appellant
+        require(token.transferFrom(msg.sender, this, stake));
 
-        (uint commitEndDate, uint revealEndDate,,,) = voting.pollMap(pollID);
+        (uint commitEndDate, uint revealEndDate,,,) = voting.pollMap(appealID);
 
-        emit _Challenge(_listingHash, pollID, _data, commitEndDate, revealEndDate, msg.sender);
-        return pollID;
+        emit _Appeal(_listingHash, challengeID, appealID, commitEndDate, revealEndDate, stake, msg.sender);
     }
 
     /**
-    @dev                Updates a listingHash's status from 'application' to 'listing' or resolves
-                        a challenge if one exists.
+    @dev                Updates a listingHash's status from 'application' to 'listing', resolves
+                        a challenge if one exists, or applies the listing's pending data.
     @param _listingHash The listingHash whose status is being updated
     */
     function updateStatus(bytes32 _listingHash) public {
         if (canBeWhitelisted(_listingHash)) {
             whitelistApplication(_listingHash);
+        } else if (dataUpdateCanBeApplied(_listingHash)) {
+            // Checked before challengeCanBeResolved, which reverts when no challenge exists
+            applyListingData(_listingHash);
         } else if (challengeCanBeResolved(_listingHash)) {
             resolveChallenge(_listingHash);
         } else {
@@ -262,6 +416,8 @@ contract Registry {
         // Ensures the voter has not already claimed tokens and challenge results have been processed
         require(challengeInstance.tokenClaims[msg.sender] == false);
         require(challengeInstance.resolved == true);
+        // Ensures an appeal did not overturn the vote, whose voters are then left unrewarded
+        require(challengeInstance.totalTokens > 0);
 
         uint voterTokens = voting.getNumPassingTokens(msg.sender, _challengeID, _salt);
         uint reward = voterReward(msg.sender, _challengeID, _salt);
@@ -282,6 +438,38 @@ contract Registry {
         emit _RewardClaimed(_challengeID, reward, msg.sender);
     }
 
+    /**
+    @dev                Called by a voter who revealed a vote in the minority faction of a resolved challenge
+                        to credit the minorityParticipationPct of their tokens towards the inflation rewards
+                        of the challenge's epoch
+    @param _challengeID The PLCR pollID of the challenge the vote was revealed in
+    @param _salt        The salt of a voter's commit hash in the given poll
+    */
+    function claimParticipationReward(uint _challengeID, uint _salt) public {
+        Challenge storage challengeInstance = challenges[_challengeID];
+        // Ensures the voter has not already claimed and challenge results have been processed
+        require(challengeInstance.tokenClaims[msg.sender] == false);
+        require(challengeInstance.resolved == true);
+
+        // Ensures the voter revealed a vote for the losing option
+        require(voting.didReveal(msg.sender, _challengeID));
+        uint losingChoice = voting.isPassed(_challengeID) ? 0 : 1;
+        require(
+            keccak256(abi.encodePacked(losingChoice, _salt)) == voting.getCommitHash(msg.sender, _challengeID),
+            "Vote should have been revealed in the minority faction"
+        );
+
+        // the epoch's tally already includes the participation tokens, at the percentage of the resolution
+        uint participationTokens = voting.getNumTokens(msg.sender, _challengeID)
+            .mul(participationPcts[_challengeID]).div(100);
+        require(participationTokens > 0, "Participation tokens should be greater than zero");
+        // Ensures a voter cannot claim again
+        challengeInstance.tokenClaims[msg.sender] = true;
+
+        require(bank.addParticipationTokens(challengeInstance.epochNumber, msg.sender, participationTokens));
+        emit _ParticipationRewardClaimed(_challengeID, participationTokens, msg.sender);
+    }
+
     /**
     @dev                 Called by a voter to claim their rewards for each completed vote. Someone
                          must call updateStatus() before this can be called.
@@ -305,25 +493,77 @@ contract Registry {
     @param _pollID  The PLCR pollID of the challenge inflation rewards are being claimed for
     */
     function claimInflationRewards(uint _pollID) public {
-        uint epochNumber = challenges[_pollID].epochNumber;
-        (uint epochTokens, uint epochInflation, bool resolved) = bank.getEpochDetails(epochNumber);
+        claimEpochInflationRewards(challenges[_pollID].epochNumber);
+    }
 
-        // if epoch has not been resolved, resolve the epoch,
-        //  -> calculate the epoch.inflation, store it,
-        //  -> transfer the epoch.inflation from Bank -> this
-        // NOTE: Gas is 3x expensive for an epoch resolver (126295 vs 47102)
-        if (!resolved && (epochInflation == 0)) {
-            epochInflation = bank.resolveEpochInflationTransfer(epochNumber);
-            // emit event here because we have access to msg.sender (resolver)
-            emit _EpochResolved(epochNumber, epochTokens, epochInflation, msg.sender);
+    /**
+    @dev                 Claims inflation rewards earned by a voter during each of the given epochs
+    @notice              Resolves every epoch that has not been resolved yet. Reverts if the voter
+                         has no inflation rewards in one of the epochs.
+    @param _epochNumbers The epoch numbers inflation rewards are being claimed for
+    */
+    function claimInflationRewardsForEpochs(uint[] _epochNumbers) public {
+        for (uint i = 0; i < _epochNumbers.length; i++) {
+            claimEpochInflationRewards(_epochNumbers[i]);
         }
+    }
 
-        // (epoch.voterTokens[msg.sender] * epoch.inflation) / epoch.tokens
-        uint epochInflationVoterRewards = bank.getEpochInflationVoterRewards(epochNumber, msg.sender);
-        require(epochInflationVoterRewards > 0, "Epoch inflation voter reward is 0");
+    /**
+    @dev                Claims the inflation rewards of the stakes a successful challenger or a defended
+                        listing's owner won during an epoch
+    @notice             Resolves the epoch if it has not been resolved yet
+    @param _epochNumber The epoch stake inflation rewards are being claimed for
+    */
+    function claimStakeInflationRewards(uint _epochNumber) public {
+        (uint epochTokens, , bool resolved) = bank.getEpochDetails(_epochNumber);
+        if (!resolved) {
+            resolveEpochInflation(_epochNumber, epochTokens);
+        }
 
-        require(token.transfer(msg.sender, epochInflationVoterRewards), "Failed to transfer epoch inflation voter rewards");
-        emit _InflationRewardsClaimed(epochNumber, epochTokens, epochInflation, epochInflationVoterRewards, msg.sender);
+        // Ensures a stakeholder cannot claim the epoch's stake inflation rewards again
+        uint epochInflationStakeRewards = bank.claimEpochInflationStakeRewards(_epochNumber, msg.sender);
+        require(epochInflationStakeRewards > 0, "Epoch inflation stake reward is 0");
+
+        require(token.transfer(msg.sender, epochInflationStakeRewards), "Failed to transfer epoch inflation stake rewards");
+        emit _StakeInflationRewardsClaimed(_epochNumber, epochInflationStakeRewards, msg.sender);
+    }
+
+    /**
+    @dev                Resolves an epoch once it is over, so that the first inflation rewards claim does not pay
+                        for it, and pays the caller the epoch's resolverBountyPct of its inflation.
+                        Epochs without participants are rolled over instead, without a bounty.
+    @param _epochNumber The epoch being resolved
+    */
+    function resolveEpoch(uint _epochNumber) public {
+        if (bank.hasParticipants(_epochNumber)) {
+            (uint epochTokens, , ) = bank.getEpochDetails(_epochNumber);
+            resolveEpochInflation(_epochNumber, epochTokens);
+        } else {
+            rollOverEpoch(_epochNumber);
+        }
+    }
+
+    /**
+    @dev                Resolves a past epoch without participants, carrying its inflation
+                        forward to the next epoch resolved with participants
+    @param _epochNumber The epoch being rolled over
+    */
+    function rollOverEpoch(uint _epochNumber) public {
+        uint carriedInflation = bank.rollOverEpochInflation(_epochNumber);
+        emit _EpochRolledOver(_epochNumber, carriedInflation, msg.sender);
+    }
+
+    /**
+    @dev                Transfers the inflation voters and stakeholders did not claim during an epoch's claim period back
+                        to the Bank's reserve. No inflation rewards of the epoch can be claimed afterwards.
+    @param _epochNumber The epoch whose unclaimed inflation is being swept
+    */
+    function sweepEpochInflation(uint _epochNumber) public {
+        uint sweptInflation = bank.sweepEpochInflation(_epochNumber);
+        if (sweptInflation > 0) {
+            require(token.transfer(bank, sweptInflation), "Failed to transfer unclaimed epoch inflation to the bank");
+        }
+        emit _EpochInflationSwept(_epochNumber, sweptInflation, msg.sender);
     }
 
     // --------
@@ -382,6 +622,66 @@ contract Registry {
         return listings[_listingHash].applicationExpiry > 0;
     }
 
+    /**
+    @dev                    Returns the state of a listingHash in a single call, with the deadlines that
+                            apply to it. Deadlines that do not apply are 0.
+    @param _listingHash     The listingHash whose status is to be examined
+    @return                 The listing's status, the end of its apply stage while it is an application,
+                            the ends of the commit and reveal stages of its unresolved challenge, or
+                            of the challenge's appeal once appealed, and the data of a pending update
+                            with the end of its challenge window
+    */
+    function getListingStatus(bytes32 _listingHash) public view returns (
+        ListingStatus status,
+        uint applicationExpiry,
+        uint commitEndDate,
+        uint revealEndDate,
+        string pendingData,
+        uint dataUpdateExpiry
+    ) {
+        Listing storage listing = listings[_listingHash];
+
+        if (!appWasMade(_listingHash)) {
+            return (ListingStatus.None, 0, 0, 0, "", 0);
+        }
+        if (!listing.whitelisted) {
+            applicationExpiry = listing.applicationExpiry;
+        }
+        pendingData = pendingListingData[_listingHash];
+        dataUpdateExpiry = listing.dataUpdateExpiry;
+
+        if (challengeExists(_listingHash)) {
+            uint appealID = appeals[listing.challengeID];
+            (commitEndDate, revealEndDate,,,) = voting.pollMap(appealID == 0 ? listing.challengeID : appealID);
+            if (canBeAppealed(_listingHash)) {
+                status = ListingStatus.Appealable;
+            } else if (challengeCanBeResolved(_listingHash)) {
+                status = ListingStatus.ChallengeResolvable;
+            } else if (listing.whitelisted) {
+                status = ListingStatus.WhitelistChallenged;
+            } else {
+                status = ListingStatus.ApplicationChallenged;
+            }
+        } else if (listing.whitelisted) {
+            status = ListingStatus.Whitelisted;
+        } else if (listing.applicationExpiry < now) {
+            status = ListingStatus.ReadyToWhitelist;
+        } else {
+            status = ListingStatus.Applying;
+        }
+    }
+
+    /**
+    @dev                    Returns true if the listingHash has pending data whose challenge window passed
+                            without an unresolved challenge
+    @param _listingHash     The listingHash whose status is to be examined
+    */
+    function dataUpdateCanBeApplied(bytes32 _listingHash) public view returns (bool) {
+        uint dataUpdateExpiry = listings[_listingHash].dataUpdateExpiry;
+
+        return dataUpdateExpiry > 0 && dataUpdateExpiry < now && !challengeExists(_listingHash);
+    }
+
     /**
     @dev                    Returns true if the application/listingHash has an unresolved challenge
     @param _listingHash     The listingHash whose status is to be examined
@@ -393,7 +693,8 @@ contract Registry {
     }
 
     /**
-    @dev                    Determines whether voting has concluded in a challenge for a given listingHash.
+    @dev                    Determines whether voting has concluded in a challenge for a given listingHash,
+                            and in its appeal if it was appealed, after the appeal window closed.
                             Throws if no challenge exists.
     @param _listingHash     A listingHash with an unresolved challenge
     */
@@ -402,7 +703,23 @@ contract Registry {
 
         require(challengeExists(_listingHash));
 
-        return voting.pollEnded(challengeID);
+        if (appeals[challengeID] != 0) {
+            return voting.pollEnded(appeals[challengeID]);
+        }
+        return voting.pollEnded(challengeID) && !canBeAppealed(_listingHash);
+    }
+
+    /**
+    @dev                    Returns true if voting concluded in the listingHash's unresolved challenge less
+                            than appealWindowLen ago and the challenge was not appealed yet
+    @param _listingHash     The listingHash whose challenge is to be examined
+    */
+    function canBeAppealed(bytes32 _listingHash) public view returns (bool) {
+        uint challengeID = listings[_listingHash].challengeID;
+        (, uint revealEndDate,,,) = voting.pollMap(challengeID);
+
+        return challengeExists(_listingHash) && appeals[challengeID] == 0 && voting.pollEnded(challengeID) &&
+            now <= revealEndDate.add(getParameter("appealWindowLen"));
     }
 
     /**
@@ -429,10 +746,183 @@ contract Registry {
         return challenges[_challengeID].tokenClaims[_voter];
     }
 
+    /**
+    @dev                    Returns the challengeIDs of every challenge a listingHash faced, oldest
+                            first, including those of earlier applications for the same listingHash
+    @param _listingHash     The listingHash whose challenge history is to be returned
+    */
+    function getListingChallenges(bytes32 _listingHash) public view returns (uint[]) {
+        return listingChallenges[_listingHash];
+    }
+
+    /**
+    @dev                    Returns a page of the whitelisted listingHashes, in the order they were
+                            whitelisted. Positions shift as listings are removed.
+    @param _start           The position of the page's first listingHash
+    @param _count           The maximum number of listingHashes to return
+    */
+    function getWhitelistedListings(uint _start, uint _count) public view returns (bytes32[]) {
+        return getIndexPage(whitelistIndex, _start, _count);
+    }
+
+    /**
+    @dev                    Returns a page of the listingHashes with a pending application, in the order
+                            they applied. Positions shift as applications are whitelisted or removed.
+    @param _start           The position of the page's first listingHash
+    @param _count           The maximum number of listingHashes to return
+    */
+    function getApplications(uint _start, uint _count) public view returns (bytes32[]) {
+        return getIndexPage(applicationIndex, _start, _count);
+    }
+
+    /**
+    @dev                    Returns the number of whitelisted listingHashes
+    */
+    function getWhitelistedCount() public view returns (uint) {
+        return whitelistIndex.count;
+    }
+
+    /**
+    @dev                    Returns the number of listingHashes with a pending application
+    */
+    function getApplicationCount() public view returns (uint) {
+        return applicationIndex.count;
+    }
+
     // ----------------
     // PRIVATE FUNCTIONS:
     // ----------------
 
+    /**
+    @dev                Claims inflation rewards earned by a voter during an epoch
+    @notice             If nobody called resolveEpoch for the epoch, the first claim resolves it and the
+                        claimer earns the resolver bounty
+    @param _epochNumber The epoch inflation rewards are being claimed for
+    */
+    function claimEpochInflationRewards(uint _epochNumber) private {
+        (uint epochTokens, uint epochInflation, bool resolved) = bank.getEpochDetails(_epochNumber);
+
+        // if epoch has not been resolved, resolve the epoch,
+        //  -> calculate the epoch.inflation, store it,
+        //  -> transfer the epoch.inflation from Bank -> this
+        // NOTE: the claim that resolves the epoch costs several times the gas of later claims, see resolveEpoch
+        if (!resolved) {
+            epochInflation = resolveEpochInflation(_epochNumber, epochTokens);
+        }
+
+        // (epoch.voterTokens[msg.sender] * epoch.inflation) / epoch.tokens
+        // Pays only the inflation rewards the voter has not claimed yet
+        uint epochInflationVoterRewards = bank.claimEpochInflationVoterRewards(_epochNumber, msg.sender);
+        require(epochInflationVoterRewards > 0, "Epoch inflation voter reward is 0");
+
+        require(token.transfer(msg.sender, epochInflationVoterRewards), "Failed to transfer epoch inflation voter rewards");
+        emit _InflationRewardsClaimed(_epochNumber, epochTokens, epochInflation, epochInflationVoterRewards, msg.sender);
+    }
+
+    /**
+    @dev                Resolves an epoch with participants and pays the resolver bounty to msg.sender
+    @param _epochNumber The epoch being resolved
+    @param _epochTokens The number of tokens revealed by the epoch's majority faction voters
+    @return             The inflation the epoch's voters share
+    */
+    function resolveEpochInflation(uint _epochNumber, uint _epochTokens) private returns (uint epochInflation) {
+        uint resolverBounty;
+        (epochInflation, resolverBounty) = bank.resolveEpochInflationTransfer(_epochNumber);
+        if (resolverBounty > 0) {
+            require(token.transfer(msg.sender, resolverBounty), "Failed to transfer the resolver bounty");
+        }
+        // emit event here because we have access to msg.sender (resolver)
+        emit _EpochResolved(_epochNumber, _epochTokens, epochInflation, resolverBounty, msg.sender);
+    }
+
+    /**
+    @dev                Starts a poll for a listingHash which is either in the apply stage or already
+                        in the whitelist, with the given stake. Removes the listingHash instead if its
+                        unstaked deposit fell below minDeposit.
+    @param _listingHash The listingHash being challenged, whether listed or in application
+    @param _stake       The number of tokens the challenger offers to stake, at least minDeposit
+    @param _data        Extra data relevant to the challenge. Think IPFS hashes.
+    */
+    function startChallenge(bytes32 _listingHash, uint _stake, string _data) private returns (uint) {
+        Listing storage listing = listings[_listingHash];
+        uint minDeposit = getParameter("minDeposit");
+
+        require(_stake >= minDeposit, "Stake should be greater than or equal to the minimum deposit");
+
+        // Listing must be in apply stage or already on the whitelist
+        require(appWasMade(_listingHash) || listing.whitelisted);
+        // Prevent multiple challenges
+        require(listing.challengeID == 0 || challenges[listing.challengeID].resolved, "Listing's challengeID should be zero or challenge should be resolved");
+
+        // pending data whose challenge window passed is not held back by a later challenge
+        if (dataUpdateCanBeApplied(_listingHash)) {
+            applyListingData(_listingHash);
+        }
+
+        if (listing.unstakedDeposit < minDeposit) {
+            // Not enough tokens, listingHash auto-delisted
+            resetListing(_listingHash);
+            emit _TouchAndRemoved(_listingHash);
+            return 0;
+        }
+
+        // The listing matches the stake from its unstaked deposit
+        uint stake = _stake < listing.unstakedDeposit ? _stake : listing.unstakedDeposit;
+
+        // Starts poll
+        uint pollID = voting.startPoll(
+            getParameter("voteQuorum"),
+            getParameter("commitStageLen"),
+            getParameter("revealStageLen")
+        );
+        addChallenge(_listingHash, pollID, stake);
+
+        // Updates listingHash to store most recent challenge
+        listing.challengeID = pollID;
+
+        // Locks tokens for listingHash during challenge
+        listing.unstakedDeposit -= stake;
+
+        // Takes tokens from challenger
+        require(token.transferFrom(msg.sender, this, stake));
+
+        (uint commitEndDate, uint revealEndDate,,,) = voting.pollMap(pollID);
+
+        emit _Challenge(_listingHash, pollID, _data, commitEndDate, revealEndDate, msg.sender);
+        emit _ChallengeStake(_listingHash, pollID, stake);
+        return pollID;
+    }
+
+    /**
+    @dev                Reads a parameter from the Parameterizer. Calling it from a single place rather
+                        than at every use keeps the Registry under the contract size limit.
+    @param _name        The name of the parameter to read
+    */
+    function getParameter(string _name) private view returns (uint) {
+        return parameterizer.get(_name);
+    }
+
+    /**
+    @dev                Stores a challenge, or an appeal, of msg.sender in the listingHash's history
+    @param _listingHash The listingHash being challenged or appealed
+    @param _pollID      The PLCR pollID of the challenge
+    @param _stake       The number of tokens at stake
+    */
+    function addChallenge(bytes32 _listingHash, uint _pollID, uint _stake) private {
+        uint oneHundred = 100; // Kludge that we need to use SafeMath
+        challenges[_pollID] = Challenge({
+            challenger: msg.sender,
+            rewardPool: ((oneHundred.sub(getParameter("dispensationPct"))).mul(_stake)).div(100),
+            stake: _stake,
+            resolved: false,
+            totalTokens: 0,
+            totalWinningTokens: 0,
+            epochNumber: 0,
+            listingHash: _listingHash
+        });
+        listingChallenges[_listingHash].push(_pollID);
+    }
+
     /**
     @dev                    Determines the winner in a challenge. Rewards the winner tokens and
                             either whitelists or de-whitelists the listingHash.
@@ -456,14 +946,40 @@ contract Registry {
 
         // store the current epoch
         challenge.epochNumber = bank.getCurrentEpochNumber();
-        // add the totalWinningTokens to the epoch's total tokens tally
-        require(bank.addChallengeWinningTokens(challenge.epochNumber, totalWinningTokens));
+
+        // An appeal decides the challenge and adds the remainder of its stake to the reward
+        (bool challengeFailed, bool overturned, uint appealReward) = resolveAppeal(_listingHash, challengeID);
+        reward = reward.add(appealReward);
+        // The winner's stake includes the appeal's, which the appellant put up as well
+        uint stake = challenge.stake.add(challenges[appeals[challengeID]].stake);
+
+        uint epochTokens = tallyParticipation(challengeID, totalWinningTokens);
+        if (overturned) {
+            // The first round's majority voted for the overturned outcome: its voters are not
+            // rewarded, and the winner takes the reward pool they would have shared. If nobody
+            // voted, determineReward already included the reward pool.
+            if (totalWinningTokens > 0) {
+                reward = reward.add(challenge.rewardPool);
+            }
+            challenge.rewardPool = 0;
+            challenge.totalTokens = 0;
+        } else {
+            epochTokens = epochTokens.add(totalWinningTokens);
+        }
+        // add the totalWinningTokens and the minority's participation tokens to the epoch's total tokens tally
+        require(bank.addChallengeWinningTokens(challenge.epochNumber, epochTokens));
 
         // Case: challenge failed
-        if (voting.isPassed(challengeID)) {
+        if (challengeFailed) {
             whitelistApplication(_listingHash);
             // Unlock stake so that it can be retrieved by the applicant
             listings[_listingHash].unstakedDeposit += reward;
+            // the defended listing's owner shares the epoch's listing owner inflation
+            bank.addStake(challenge.epochNumber, Bank.Stakeholder.ListingOwner, listings[_listingHash].owner, stake);
+            // pending data whose challenge window passed was vetted by the failed challenge
+            if (dataUpdateCanBeApplied(_listingHash)) {
+                applyListingData(_listingHash);
+            }
 
             emit _ChallengeFailed(_listingHash, challengeID, challenge.rewardPool, challenge.totalTokens);
         }
@@ -472,11 +988,79 @@ contract Registry {
             resetListing(_listingHash);
             // Transfer the reward to the challenger
             require(token.transfer(challenge.challenger, reward));
+            // the challenger shares the epoch's challenger inflation
+            bank.addStake(challenge.epochNumber, Bank.Stakeholder.Challenger, challenge.challenger, stake);
 
             emit _ChallengeSucceeded(_listingHash, challengeID, challenge.rewardPool, challenge.totalTokens);
         }
     }
 
+    /**
+    @dev                    Called by resolveChallenge() to resolve the appeal of a challenge, if any.
+                            The appeal's voters share its reward pool and the rest of the appeal's stake
+                            goes to the party that wins the challenge. If nobody voted on the appeal, the
+                            challenge's vote stands and its winner takes the whole appeal stake.
+    @param _listingHash     The listingHash whose challenge is being resolved
+    @param _challengeID     The challengeID whose appeal is to be resolved
+    @return                 Whether the challenge failed, whether the appeal overturned the challenge's
+                            vote, and the number of tokens of the appeal's stake awarded to the winning party
+    */
+    function resolveAppeal(bytes32 _listingHash, uint _challengeID)
+    private returns (bool challengeFailed, bool overturned, uint reward) {
+        uint appealID = appeals[_challengeID];
+        challengeFailed = voting.isPassed(_challengeID);
+        if (appealID == 0) {
+            return (challengeFailed, false, 0);
+        }
+        Challenge storage appealInstance = challenges[appealID];
+
+        appealInstance.resolved = true;
+
+        uint totalWinningTokens = voting.getTotalNumberOfTokensForWinningOption(appealID);
+        appealInstance.totalWinningTokens = totalWinningTokens;
+        appealInstance.totalTokens = totalWinningTokens;
+
+        // the appeal's winning tokens count towards the same epoch as the challenge's
+        appealInstance.epochNumber = challenges[_challengeID].epochNumber;
+        require(bank.addChallengeWinningTokens(
+            appealInstance.epochNumber,
+            totalWinningTokens.add(tallyParticipation(appealID, totalWinningTokens))
+        ));
+
+        reward = appealInstance.stake;
+        if (totalWinningTokens > 0) {
+            reward -= appealInstance.rewardPool;
+            overturned = voting.isPassed(appealID) != challengeFailed;
+            challengeFailed = voting.isPassed(appealID);
+        }
+
+        emit _AppealResolved(_listingHash, _challengeID, appealID, overturned, appealInstance.rewardPool, appealInstance.totalTokens);
+    }
+
+    /**
+    @dev                        Records the minorityParticipationPct of a resolved poll, so that its minority
+                                faction's participation can be credited to the epoch's tally right away and
+                                to each voter when they claim, even after the epoch was resolved
+    @param _pollID              The pollID of the challenge or appeal being resolved
+    @param _totalWinningTokens  The number of tokens revealed by the poll's majority faction
+    @return                     The number of participation tokens of the poll's minority faction
+    */
+    function tallyParticipation(uint _pollID, uint _totalWinningTokens) private returns (uint) {
+        (,,, uint votesFor, uint votesAgainst) = voting.pollMap(_pollID);
+        uint minorityParticipationPct = getParameter("minorityParticipationPct");
+        participationPcts[_pollID] = minorityParticipationPct;
+        return votesFor.add(votesAgainst).sub(_totalWinningTokens).mul(minorityParticipationPct).div(100);
+    }
+
+    /**
+    @dev                    Reverts unless msg.sender owns the listingHash and it has no unresolved challenge
+    @param _listingHash     The listingHash msg.sender acts on as its owner
+    */
+    function requireUnchallengedOwner(bytes32 _listingHash) private view {
+        require(listings[_listingHash].owner == msg.sender, "Listing owner should be the message sender");
+        require(!challengeExists(_listingHash), "Listing should not have an unresolved challenge");
+    }
+
     /**
     @dev                    Called by updateStatus() if the applicationExpiry date passed without a
                             challenge being made. Called by resolveChallenge() if an
@@ -484,7 +1068,11 @@ contract Registry {
     @param _listingHash     The listingHash of an application/listingHash to be whitelisted
     */
     function whitelistApplication(bytes32 _listingHash) private {
-        if (!listings[_listingHash].whitelisted) { emit _ApplicationWhitelisted(_listingHash); }
+        if (!listings[_listingHash].whitelisted) {
+            removeFromIndex(applicationIndex, _listingHash);
+            addToIndex(whitelistIndex, _listingHash);
+            emit _ApplicationWhitelisted(_listingHash);
+        }
         listings[_listingHash].whitelisted = true;
     }
 
@@ -497,8 +1085,10 @@ contract Registry {
 
         // Emit events before deleting listing to check whether is whitelisted
         if (listing.whitelisted) {
+            removeFromIndex(whitelistIndex, _listingHash);
             emit _ListingRemoved(_listingHash);
         } else {
+            removeFromIndex(applicationIndex, _listingHash);
             emit _ApplicationRemoved(_listingHash);
         }
 
@@ -506,10 +1096,67 @@ contract Registry {
         address owner = listing.owner;
         uint unstakedDeposit = listing.unstakedDeposit;
         delete listings[_listingHash];
+        delete pendingOwners[_listingHash];
+        delete pendingListingData[_listingHash];
         
         // Transfers any remaining balance back to the owner
         if (unstakedDeposit > 0){
             require(token.transfer(owner, unstakedDeposit));
         }
     }
+
+    /**
+    @dev                    Replaces the data of a listingHash with its pending data
+    @param _listingHash     The listingHash whose pending data passed its challenge window
+    */
+    function applyListingData(bytes32 _listingHash) private {
+        Listing storage listing = listings[_listingHash];
+
+        listing.data = pendingListingData[_listingHash];
+        delete pendingListingData[_listingHash];
+        delete listing.dataUpdateExpiry;
+
+        emit _ListingDataApplied(_listingHash);
+    }
+
+    /**
+    @dev                    Appends a listingHash to the end of a listing index
+    @param _index           The index to append to
+    @param _listingHash     The listingHash to append
+    */
+    function addToIndex(ListingIndex storage _index, bytes32 _listingHash) private {
+        _index.list.insert(_index.list.getEnd(), uint(_listingHash), 0);
+        _index.count = _index.count.add(1);
+    }
+
+    /**
+    @dev                    Removes a listingHash from a listing index it was added to
+    @param _index           The index to remove from
+    @param _listingHash     The listingHash to remove
+    */
+    function removeFromIndex(ListingIndex storage _index, bytes32 _listingHash) private {
+        _index.list.remove(uint(_listingHash));
+        _index.count = _index.count.sub(1);
+    }
+
+    /**
+    @dev                    Walks a listing index from its start to collect a page of listingHashes
+    @param _index           The index to read
+    @param _start           The position of the page's first listingHash
+    @param _count           The maximum number of listingHashes to return
+    */
+    function getIndexPage(ListingIndex storage _index, uint _start, uint _count)
+    private view returns (bytes32[] page) {
+        uint remaining = _start < _index.count ? _index.count - _start : 0;
+        page = new bytes32[](_count < remaining ? _count : remaining);
+
+        uint node = _index.list.getStart();
+        for (uint i = 0; i < _start && i < _index.count; i++) {
+            node = _index.list.getNext(node);
+        }
+        for (i = 0; i < page.length; i++) {
+            page[i] = bytes32(node);
+            node = _index.list.getNext(node);
+        }
+    }
 }
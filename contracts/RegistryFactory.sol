@@ -5,40 +5,41 @@ import "./ParameterizerFactory.sol";
 import "./Registry.sol";
 import "plcr-revival/PLCRVoting.sol";
 import "./Parameterizer.sol";
+import "./BankFactory.sol";
+import "./Bank.sol";
 
 contract RegistryFactory {
 
-    event NewRegistry(address creator, EIP20 token, PLCRVoting plcr, Parameterizer parameterizer, Registry registry);
+    event NewRegistry(address creator, EIP20 token, PLCRVoting plcr, Parameterizer parameterizer, Registry registry, Bank bank);
 
     ParameterizerFactory public parameterizerFactory;
+    BankFactory public bankFactory;
     ProxyFactory public proxyFactory;
     Registry public canonizedRegistry;
 
-    /// @dev constructor deploys a new proxyFactory.
-    constructor(ParameterizerFactory _parameterizerFactory, Registry _canonizedRegistry) public {
+    /// @dev constructor sets the factories and the canonical Registry contract that proxies delegate to.
+    constructor(ParameterizerFactory _parameterizerFactory, Registry _canonizedRegistry, BankFactory _bankFactory) public {
         parameterizerFactory = _parameterizerFactory;
         proxyFactory = parameterizerFactory.proxyFactory();
         canonizedRegistry = _canonizedRegistry;
+        bankFactory = _bankFactory;
     }
 
     /*
     @dev deploys and initializes a new Registry contract that consumes a token at an address
         supplied by the user.
     @param _token           an EIP20 token to be consumed by the new Registry contract
+    @param _bankParameters  the Bank's epoch duration (seconds), inflation claim period (epochs),
+                            emission schedule and emission amount
     */
     function newRegistryBYOToken(
         EIP20 _token,
         uint[] _parameters,
-        string _name
+        string _name,
+        uint[] _bankParameters
     ) public returns (Registry) {
         Parameterizer parameterizer = parameterizerFactory.newParameterizerBYOToken(_token, _parameters);
-        PLCRVoting plcr = parameterizer.voting();
-
-        Registry registry = Registry(proxyFactory.createProxy(canonizedRegistry, ""));
-        registry.init(_token, plcr, parameterizer, _name);
-
-        emit NewRegistry(msg.sender, _token, plcr, parameterizer, registry);
-        return registry;
+        return createRegistry(_token, parameterizer, _name, _bankParameters);
     }
 
     /*
@@ -48,6 +49,9 @@ contract RegistryFactory {
     @param _name            the name of the new EIP20 token
     @param _decimals        the decimal precision to be used in rendering balances in the EIP20 token
     @param _symbol          the symbol of the new EIP20 token
+    @param _bankParameters  the Bank's epoch duration (seconds), inflation claim period (epochs),
+                            emission schedule and emission amount
+    @param _bankReserve     the number of tokens of the supply to seed the Bank's reserve with
     */
     function newRegistryWithToken(
         uint _supply,
@@ -55,21 +59,46 @@ contract RegistryFactory {
         uint8 _decimals,
         string _symbol,
         uint[] _parameters,
-        string _registryName
+        string _registryName,
+        uint[] _bankParameters,
+        uint _bankReserve
     ) public returns (Registry) {
-        // Creates a new EIP20 token & transfers the supply to creator (msg.sender)
+        require(_bankReserve <= _supply, "Bank reserve should be less than or equal to the supply");
+
+        // Creates a new EIP20 token & transfers the supply to this factory
         // Deploys & initializes (1) PLCRVoting contract & (2) Parameterizer contract
         Parameterizer parameterizer = parameterizerFactory.newParameterizerWithToken(_supply, _tokenName, _decimals, _symbol, _parameters);
         EIP20 token = EIP20(parameterizer.token());
-        token.transfer(msg.sender, _supply);
-        PLCRVoting plcr = parameterizer.voting();
 
-        // Create & initialize a new Registry contract
+        Registry registry = createRegistry(token, parameterizer, _registryName, _bankParameters);
+
+        // Seeds the Bank's reserve & transfers the rest of the supply to creator (msg.sender)
+        require(token.transfer(registry.bank(), _bankReserve), "Failed to transfer the reserve to the Bank");
+        require(token.transfer(msg.sender, _supply - _bankReserve), "Failed to transfer the supply to the creator");
+        return registry;
+    }
+
+    /*
+    @dev deploys and initializes a new Registry contract and the Bank it owns
+    @param _token           an EIP20 token to be consumed by the new Registry and Bank contracts
+    @param _parameterizer   the Parameterizer to be consumed by the new Registry contract
+    @param _name            the name of the new Registry
+    @param _bankParameters  the Bank's epoch duration (seconds), inflation claim period (epochs),
+                            emission schedule and emission amount
+    */
+    function createRegistry(
+        EIP20 _token,
+        Parameterizer _parameterizer,
+        string _name,
+        uint[] _bankParameters
+    ) private returns (Registry) {
+        PLCRVoting plcr = _parameterizer.voting();
+
         Registry registry = Registry(proxyFactory.createProxy(canonizedRegistry, ""));
-        registry.init(token, plcr, parameterizer, _registryName);
+        Bank bank = bankFactory.newBank(_token, registry, _bankParameters);
+        registry.init(_token, plcr, _parameterizer, bank, _name);
 
-        emit NewRegistry(msg.sender, token, plcr, parameterizer, registry);
+        emit NewRegistry(msg.sender, _token, plcr, _parameterizer, registry, bank);
         return registry;
     }
 }
-
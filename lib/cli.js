@@ -0,0 +1,303 @@
+const fs = require('fs');
+
+const { getListingHash, getReceiptEvents } = require('./utils');
+
+// Accepts either a listingHash or the name it hashes, e.g. a domain
+const toListingHash = listing => (
+  /^0x[0-9a-fA-F]{64}$/.test(listing) ? listing : getListingHash(listing)
+);
+
+/**
+ * Subcommands of the pm-tcr CLI. Each run() receives a Client and the positional arguments, and
+ * resolves to a transaction result, an array of them, or a plain object to print.
+ */
+const commands = {
+  approve: {
+    usage: 'approve <amount>',
+    description: 'Approve the Registry, Parameterizer and PLCRVoting to transfer tokens',
+    run: (client, [amount]) => client.approveAll(amount),
+  },
+  apply: {
+    usage: 'apply <listing> <amount> [data]',
+    description: 'Apply to add a listing to the registry',
+    run: (client, [listing, amount, data]) => client.apply(toListingHash(listing), amount, data),
+  },
+  deposit: {
+    usage: 'deposit <listing> <amount>',
+    description: 'Increase the unstaked deposit of a listing',
+    run: (client, [listing, amount]) => client.deposit(toListingHash(listing), amount),
+  },
+  withdraw: {
+    usage: 'withdraw <listing> <amount>',
+    description: 'Decrease the unstaked deposit of a listing',
+    run: (client, [listing, amount]) => client.withdraw(toListingHash(listing), amount),
+  },
+  'update-data': {
+    usage: 'update-data <listing> <data>',
+    description: 'Replace the data of a whitelisted listing, opening a challenge window',
+    run: (client, [listing, data]) => client.updateListingData(toListingHash(listing), data),
+  },
+  'transfer-listing': {
+    usage: 'transfer-listing <listing> <newOwner>',
+    description: 'Start transferring a listing and its deposit to another account',
+    run: (client, [listing, newOwner]) => client.transferListingOwnership(toListingHash(listing), newOwner),
+  },
+  'accept-listing': {
+    usage: 'accept-listing <listing>',
+    description: 'Take over a listing being transferred to you',
+    run: (client, [listing]) => client.acceptListingOwnership(toListingHash(listing)),
+  },
+  'init-exit': {
+    usage: 'init-exit <listing>',
+    description: 'Start removing a whitelisted listing, which can be challenged until the exit delay passes',
+    run: (client, [listing]) => client.initExit(toListingHash(listing)),
+  },
+  'finalize-exit': {
+    usage: 'finalize-exit <listing>',
+    description: 'Remove a listing whose exit delay passed and return its deposit',
+    run: (client, [listing]) => client.finalizeExit(toListingHash(listing)),
+  },
+  challenge: {
+    usage: 'challenge <listing> [data]',
+    description: 'Challenge a listing or application',
+    run: (client, [listing, data]) => client.challenge(toListingHash(listing), data),
+  },
+  'challenge-with-stake': {
+    usage: 'challenge-with-stake <listing> <stake> [data]',
+    description: 'Challenge a listing or application with a stake above minDeposit, matched up to its unstaked deposit',
+    run: (client, [listing, stake, data]) => client.challengeWithStake(toListingHash(listing), stake, data),
+  },
+  appeal: {
+    usage: 'appeal <listing>',
+    description: 'Appeal the listing\'s challenge as the party that lost its vote, during the appeal window',
+    run: (client, [listing]) => client.appeal(toListingHash(listing)),
+  },
+  commit: {
+    usage: 'commit <pollID> <voteOption> <numTokens> [salt]',
+    description: 'Commit a vote (1 to support, 0 to oppose); the vault generates the salt if omitted',
+    run: (client, [pollID, voteOption, numTokens, salt]) => (
+      client.commitVote(pollID, voteOption, numTokens, salt)
+    ),
+  },
+  reveal: {
+    usage: 'reveal <pollID> [voteOption salt]',
+    description: 'Reveal a committed vote, by default the one stored in the vault',
+    run: (client, [pollID, voteOption, salt]) => client.revealVote(pollID, voteOption, salt),
+  },
+  'update-status': {
+    usage: 'update-status <listing> [listing...]',
+    description: 'Whitelist applications or resolve challenges',
+    run: (client, listings) => (
+      listings.length === 1 ?
+        client.updateStatus(toListingHash(listings[0])) :
+        client.updateStatuses(listings.map(toListingHash))
+    ),
+  },
+  'claim-reward': {
+    usage: 'claim-reward <challengeID> [salt]',
+    description: 'Claim a voter reward of a resolved challenge',
+    run: (client, [challengeID, salt]) => client.claimReward(challengeID, salt),
+  },
+  'claim-participation': {
+    usage: 'claim-participation <challengeID> [salt]',
+    description: 'Credit a minority vote of a resolved challenge towards its epoch\'s inflation rewards',
+    run: (client, [challengeID, salt]) => client.claimParticipationReward(challengeID, salt),
+  },
+  'claim-inflation': {
+    usage: 'claim-inflation <pollID>',
+    description: 'Claim the inflation rewards of the epoch a challenge was resolved in',
+    run: (client, [pollID]) => client.claimInflationRewards(pollID),
+  },
+  'claim-inflation-epochs': {
+    usage: 'claim-inflation-epochs [epoch...]',
+    description: 'Claim the inflation rewards of several epochs, by default every unclaimed one',
+    run: async (client, epochNumbers) => {
+      const epochs = epochNumbers.length > 0 ?
+        epochNumbers :
+        await client.getUnclaimedInflationEpochs(client.defaults.from);
+      if (epochs.length === 0) {
+        return { unclaimedEpochs: 'none' };
+      }
+      return client.claimInflationRewardsForEpochs(epochs);
+    },
+  },
+  'claim-stake-inflation': {
+    usage: 'claim-stake-inflation <epoch>',
+    description: 'Claim the inflation rewards of the stakes won as a challenger or listing owner during an epoch',
+    run: (client, [epochNumber]) => client.claimStakeInflationRewards(epochNumber),
+  },
+  'resolve-epoch': {
+    usage: 'resolve-epoch <epoch>',
+    description: 'Resolve a past epoch and earn its resolver bounty',
+    run: (client, [epochNumber]) => client.resolveEpoch(epochNumber),
+  },
+  'roll-over-epoch': {
+    usage: 'roll-over-epoch <epoch>',
+    description: 'Carry the inflation of a past epoch without participants forward',
+    run: (client, [epochNumber]) => client.rollOverEpoch(epochNumber),
+  },
+  'sweep-inflation': {
+    usage: 'sweep-inflation <epoch>',
+    description: 'Return the unclaimed inflation of an epoch past its claim period to the reserve',
+    run: (client, [epochNumber]) => client.sweepEpochInflation(epochNumber),
+  },
+  propose: {
+    usage: 'propose <name> <value>',
+    description: 'Propose a reparameterization',
+    run: (client, [name, value]) => client.proposeReparameterization(name, value),
+  },
+  'process-proposal': {
+    usage: 'process-proposal <propID>',
+    description: 'Set, resolve or expire a reparameterization proposal',
+    run: (client, [propID]) => client.processProposal(propID),
+  },
+  status: {
+    usage: 'status <listing>',
+    description: 'Print a listing and its latest challenge',
+    run: async (client, [listing]) => {
+      const listingHash = toListingHash(listing);
+      const details = await client.getListing(listingHash);
+      const { status } = await client.getListingStatus(listingHash);
+      const challenge = details.challengeID.toString(10) === '0' ?
+        null :
+        await client.getChallenge(details.challengeID);
+      return Object.assign({ listingHash, status }, details, { challenge });
+    },
+  },
+  listings: {
+    usage: 'listings [whitelisted|applications]',
+    description: 'Print the whitelisted listings or the pending applications, from the on-chain index',
+    run: (client, [kind = 'whitelisted']) => {
+      if (kind === 'applications') {
+        return client.getApplications();
+      }
+      if (kind === 'whitelisted') {
+        return client.getWhitelistedListings();
+      }
+      throw new Error(`Unknown listings kind: ${kind}`);
+    },
+  },
+  history: {
+    usage: 'history <listing>',
+    description: 'Print every challenge and appeal a listing faced, oldest first',
+    run: async (client, [listing]) => {
+      const challengeIDs = await client.getListingChallenges(toListingHash(listing));
+      return Promise.all(challengeIDs.map(async challengeID => (
+        Object.assign(
+          { challengeID, appealID: await client.getAppealID(challengeID) },
+          await client.getChallenge(challengeID),
+        )
+      )));
+    },
+  },
+  'vault-list': {
+    usage: 'vault-list',
+    description: 'Print the votes of the account stored in the vault',
+    run: client => client.vault.list(client.defaults.from).reduce((votes, vote) => (
+      Object.assign(votes, { [vote.pollID]: vote })
+    ), {}),
+  },
+  'vault-export': {
+    usage: 'vault-export <file>',
+    description: 'Write every vote stored in the vault to a file, encrypted with the vault password',
+    run: (client, [file]) => {
+      fs.writeFileSync(file, client.vault.export(), { mode: 0o600 });
+      return { exported: client.vault.list().length, file };
+    },
+  },
+  'vault-import': {
+    usage: 'vault-import <file>',
+    description: 'Add the votes of a vault-export file to the vault',
+    run: (client, [file]) => ({
+      imported: client.vault.import(fs.readFileSync(file, 'utf8')),
+    }),
+  },
+};
+
+/**
+ * Splits CLI arguments into the command, its positional arguments and --options.
+ * @param {Array<string>} argv arguments following the script
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      const next = argv[i + 1];
+      const hasValue = next !== undefined && !next.startsWith('--');
+      options[argv[i].slice(2)] = hasValue ? next : true;
+      i += hasValue ? 1 : 0;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  const [command, ...args] = positional;
+  return { command, args, options };
+};
+
+const usage = () => [
+  'Usage: pm-tcr <command> [args] [--network <name>] [--registry <address>] [--account <index|address>] [--vault <file>]',
+  '',
+  'Commands:',
+  ...Object.keys(commands).map(name => `  ${commands[name].usage.padEnd(50)} ${commands[name].description}`),
+].join('\n');
+
+const isPlainObject = value => (
+  value !== null && typeof value === 'object' && value.constructor === Object
+);
+
+const formatObject = (object, indent = '') => Object.keys(object).map((key) => {
+  const value = object[key];
+  if (isPlainObject(value)) {
+    return `${indent}${key}:\n${formatObject(value, `${indent}  `)}`;
+  }
+  return `${indent}${key}: ${value === null ? 'none' : value.toString(10)}`;
+}).join('\n');
+
+/**
+ * Formats a command's output: the decoded events of every transaction result, or the fields of
+ * a plain object. An empty list, e.g. of a registry without listings, is printed as none.
+ */
+const format = (output) => {
+  const results = [].concat(output);
+  if (results.length === 0) {
+    return 'none';
+  }
+  if (!results[0].receipt) {
+    return formatObject(output);
+  }
+
+  return results.map(result => [
+    `Transaction ${result.tx} (gas used: ${result.receipt.gasUsed})`,
+    ...getReceiptEvents(result).map(({ event, args }) => [
+      `  ${event}`,
+      ...Object.keys(args).map(key => `    ${key}: ${args[key]}`),
+    ].join('\n')),
+  ].join('\n')).join('\n');
+};
+
+/**
+ * Runs a command against a client.
+ * @returns {Promise<*>} the command's output; see format()
+ */
+const run = async (client, command, args) => {
+  if (!commands[command]) {
+    throw new Error(`Unknown command: ${command}\n\n${usage()}`);
+  }
+  const required = commands[command].usage.split(' ').filter(arg => arg.startsWith('<')).length;
+  if (args.length < required) {
+    throw new Error(`Usage: pm-tcr ${commands[command].usage}`);
+  }
+  if (command.startsWith('vault-') && !client.vault) {
+    throw new Error('No vault configured. Use --vault and set PM_TCR_VAULT_PASSWORD.');
+  }
+  return commands[command].run(client, args);
+};
+
+module.exports = {
+  commands,
+  parseArgs,
+  usage,
+  format,
+  run,
+};
@@ -0,0 +1,669 @@
+const { getVoteSaltHash, getReceiptValue } = require('./utils');
+const Vault = require('./vault');
+
+const isMissing = value => value === undefined || value === null;
+
+// Registry.ListingStatus, by value
+const LISTING_STATUSES = [
+  'None',
+  'Applying',
+  'ApplicationChallenged',
+  'ReadyToWhitelist',
+  'Whitelisted',
+  'WhitelistChallenged',
+  'ChallengeResolvable',
+  'Appealable',
+];
+
+// Attaches the challengeID of a challenge transaction, 0 if the listing was removed instead
+const withChallengeID = (result) => {
+  const challenged = result.logs.some(log => log.event === '_Challenge');
+  return Object.assign(result, {
+    challengeID: challenged ? getReceiptValue(result, 'challengeID', '_Challenge') : 0,
+  });
+};
+
+// Reads a Registry listing index page by page, the pages being fetched concurrently
+const readListingIndex = async (getPage, getCount, pageSize) => {
+  const count = (await getCount.call()).toNumber();
+  const starts = Array.from({ length: Math.ceil(count / pageSize) }, (value, page) => page * pageSize);
+  const pages = await Promise.all(starts.map(start => getPage.call(start, pageSize)));
+  return [].concat(...pages);
+};
+
+/**
+ * @typedef {Object} Contracts
+ * @property {Object} Registry       truffle-contract abstraction of Registry.sol
+ * @property {Object} Parameterizer  truffle-contract abstraction of Parameterizer.sol
+ * @property {Object} PLCRVoting     truffle-contract abstraction of PLCRVoting.sol
+ * @property {Object} Bank           truffle-contract abstraction of Bank.sol
+ * @property {Object} EIP20          truffle-contract abstraction of EIP20.sol
+ */
+
+/**
+ * Promise-based wrapper around a deployed Registry and the Parameterizer, PLCRVoting, Bank and
+ * EIP20 instances it consumes. Transactions resolve to the truffle-contract result
+ * ({ tx, receipt, logs }); getters resolve to plain objects keyed like the Solidity structs.
+ *
+ * With a Vault, commitVote generates and stores the salt of each vote, and revealVote, claimReward,
+ * claimParameterizerReward and voterReward look it up whenever their salt is omitted.
+ */
+class Client {
+  /**
+   * @param {Object} instances  { registry, parameterizer, voting, bank, token } contract instances
+   * @param {Object} [defaults] transaction params applied to every transaction, e.g. { from }
+   * @param {Object} [options]
+   * @param {Vault} [options.vault] stores the voteOption and salt of committed votes
+   */
+  constructor({
+    registry, parameterizer, voting, bank, token,
+  }, defaults = {}, { vault } = {}) {
+    this.registry = registry;
+    this.parameterizer = parameterizer;
+    this.voting = voting;
+    this.bank = bank;
+    this.token = token;
+    this.defaults = defaults;
+    this.vault = vault;
+  }
+
+  /**
+   * Resolves every contract consumed by the Registry deployed at an address.
+   * @param {string} address    the Registry proxy address
+   * @param {Contracts} contracts
+   * @param {Object} [defaults]
+   * @param {Object} [options]
+   * @returns {Promise<Client>}
+   */
+  static async at(address, contracts, defaults, options) {
+    const registry = await contracts.Registry.at(address);
+    const [token, voting, parameterizer, bank] = await Promise.all([
+      registry.token.call(),
+      registry.voting.call(),
+      registry.parameterizer.call(),
+      registry.bank.call(),
+    ]);
+
+    return new Client({
+      registry,
+      parameterizer: await contracts.Parameterizer.at(parameterizer),
+      voting: await contracts.PLCRVoting.at(voting),
+      bank: await contracts.Bank.at(bank),
+      token: await contracts.EIP20.at(token),
+    }, defaults, options);
+  }
+
+  txParams(params) {
+    return Object.assign({}, this.defaults, params);
+  }
+
+  /**
+   * Returns the vault entry of a voter's commit in a poll.
+   */
+  storedVote(pollID, voter) {
+    if (!this.vault) {
+      throw new Error('A salt is required when the client has no vault');
+    }
+    const entry = this.vault.get(pollID, voter);
+    if (!entry) {
+      throw new Error(`No vote stored for poll ${pollID} and voter ${voter}`);
+    }
+    return entry;
+  }
+
+  storedSalt(pollID, voter, salt) {
+    return isMissing(salt) ? this.storedVote(pollID, voter).salt : salt;
+  }
+
+  // -------
+  // TOKEN
+  // -------
+
+  /**
+   * Approves the Registry, Parameterizer and PLCRVoting contracts to transfer an amount of tokens.
+   */
+  async approveAll(amount, params) {
+    const txParams = this.txParams(params);
+    return Promise.all([this.registry, this.parameterizer, this.voting].map(contract => (
+      this.token.approve(contract.address, amount, txParams)
+    )));
+  }
+
+  async approve(spender, amount, params) {
+    return this.token.approve(spender, amount, this.txParams(params));
+  }
+
+  async balanceOf(address) {
+    return this.token.balanceOf.call(address);
+  }
+
+  // ---------
+  // REGISTRY
+  // ---------
+
+  async apply(listingHash, amount, data = '', params) {
+    return this.registry.apply(listingHash, amount, data, this.txParams(params));
+  }
+
+  async deposit(listingHash, amount, params) {
+    return this.registry.deposit(listingHash, amount, this.txParams(params));
+  }
+
+  async withdraw(listingHash, amount, params) {
+    return this.registry.withdraw(listingHash, amount, this.txParams(params));
+  }
+
+  async updateListingData(listingHash, data, params) {
+    return this.registry.updateListingData(listingHash, data, this.txParams(params));
+  }
+
+  async transferListingOwnership(listingHash, newOwner, params) {
+    return this.registry.transferListingOwnership(listingHash, newOwner, this.txParams(params));
+  }
+
+  async acceptListingOwnership(listingHash, params) {
+    return this.registry.acceptListingOwnership(listingHash, this.txParams(params));
+  }
+
+  async initExit(listingHash, params) {
+    return this.registry.initExit(listingHash, this.txParams(params));
+  }
+
+  async finalizeExit(listingHash, params) {
+    return this.registry.finalizeExit(listingHash, this.txParams(params));
+  }
+
+  /**
+   * Challenges a listing or application. The result carries the new challengeID, which is also
+   * the PLCR pollID voters commit to; it is 0 when the listing was touched-and-removed instead.
+   */
+  async challenge(listingHash, data = '', params) {
+    const result = await this.registry.challenge(listingHash, data, this.txParams(params));
+    return withChallengeID(result);
+  }
+
+  /**
+   * Challenges staking more than minDeposit; the listing matches the stake up to its unstaked
+   * deposit. The challenger must have approved the Registry for the stake.
+   */
+  async challengeWithStake(listingHash, stake, data = '', params) {
+    const result = await this.registry.challengeWithStake(
+      listingHash,
+      stake,
+      data,
+      this.txParams(params),
+    );
+    return withChallengeID(result);
+  }
+
+  /**
+   * Appeals a listing's challenge as the party that lost its vote, during the appeal window. The
+   * result carries the appealID, the PLCR pollID voters commit to; the appellant must have approved
+   * the Registry for appealStakeMultiplier times the challenge's stake.
+   */
+  async appeal(listingHash, params) {
+    const result = await this.registry.appeal(listingHash, this.txParams(params));
+    return Object.assign(result, { appealID: getReceiptValue(result, 'appealID', '_Appeal') });
+  }
+
+  async updateStatus(listingHash, params) {
+    return this.registry.updateStatus(listingHash, this.txParams(params));
+  }
+
+  async updateStatuses(listingHashes, params) {
+    return this.registry.updateStatuses(listingHashes, this.txParams(params));
+  }
+
+  async claimReward(challengeID, salt, params) {
+    const txParams = this.txParams(params);
+    return this.registry.claimReward(
+      challengeID,
+      this.storedSalt(challengeID, txParams.from, salt),
+      txParams,
+    );
+  }
+
+  async claimParticipationReward(challengeID, salt, params) {
+    const txParams = this.txParams(params);
+    return this.registry.claimParticipationReward(
+      challengeID,
+      this.storedSalt(challengeID, txParams.from, salt),
+      txParams,
+    );
+  }
+
+  async claimRewards(challengeIDs, salts, params) {
+    return this.registry.claimRewards(challengeIDs, salts, this.txParams(params));
+  }
+
+  async claimInflationRewards(pollID, params) {
+    return this.registry.claimInflationRewards(pollID, this.txParams(params));
+  }
+
+  async claimInflationRewardsForEpochs(epochNumbers, params) {
+    return this.registry.claimInflationRewardsForEpochs(epochNumbers, this.txParams(params));
+  }
+
+  async claimStakeInflationRewards(epochNumber, params) {
+    return this.registry.claimStakeInflationRewards(epochNumber, this.txParams(params));
+  }
+
+  async resolveEpoch(epochNumber, params) {
+    return this.registry.resolveEpoch(epochNumber, this.txParams(params));
+  }
+
+  async rollOverEpoch(epochNumber, params) {
+    return this.registry.rollOverEpoch(epochNumber, this.txParams(params));
+  }
+
+  async sweepEpochInflation(epochNumber, params) {
+    return this.registry.sweepEpochInflation(epochNumber, this.txParams(params));
+  }
+
+  /**
+   * Returns the numbers of the closed epochs a voter earned inflation rewards in, i.e. claimed
+   * voter rewards during, without having claimed all of those inflation rewards yet. Epochs whose
+   * unclaimed inflation was swept back to the reserve are left out.
+   * @returns {Promise<Array<number>>}
+   */
+  async getUnclaimedInflationEpochs(voter) {
+    const currentEpoch = (await this.getCurrentEpochNumber()).toNumber();
+    const epochNumbers = Array.from({ length: currentEpoch }, (value, epochNumber) => epochNumber);
+    const unclaimed = await Promise.all(epochNumbers.map(async (epochNumber) => {
+      if ((await this.getEpochVoterTokens(epochNumber, voter)).isZero()) {
+        return false;
+      }
+      const { resolved, swept } = await this.getEpoch(epochNumber);
+      if (!resolved) {
+        return true;
+      }
+      const claimed = await this.getClaimedInflationVoterRewards(epochNumber, voter);
+      return !swept && (await this.getEpochInflationVoterRewards(epochNumber, voter)).gt(claimed);
+    }));
+    return epochNumbers.filter(epochNumber => unclaimed[epochNumber]);
+  }
+
+  /**
+   * Returns the numbers of the closed epochs an account won stakes in, as a successful challenger
+   * or a defended listing's owner, without having claimed their inflation rewards yet. Epochs whose
+   * unclaimed inflation was swept back to the reserve are left out.
+   * @returns {Promise<Array<number>>}
+   */
+  async getUnclaimedStakeInflationEpochs(account) {
+    const currentEpoch = (await this.getCurrentEpochNumber()).toNumber();
+    const epochNumbers = Array.from({ length: currentEpoch }, (value, epochNumber) => epochNumber);
+    const unclaimed = await Promise.all(epochNumbers.map(async (epochNumber) => {
+      const { challengerStake, listingOwnerStake } = await this.getEpochStakes(epochNumber, account);
+      return !challengerStake.add(listingOwnerStake).isZero() &&
+        !(await this.stakeInflationClaimed(epochNumber, account)) &&
+        !(await this.getEpoch(epochNumber)).swept;
+    }));
+    return epochNumbers.filter(epochNumber => unclaimed[epochNumber]);
+  }
+
+  /**
+   * Returns the numbers of the closed epochs nobody resolved yet.
+   * @returns {Promise<Array<number>>}
+   */
+  async getUnresolvedEpochs() {
+    const currentEpoch = (await this.getCurrentEpochNumber()).toNumber();
+    const epochNumbers = Array.from({ length: currentEpoch }, (value, epochNumber) => epochNumber);
+    const epochs = await Promise.all(epochNumbers.map(epochNumber => this.getEpoch(epochNumber)));
+    return epochNumbers.filter(epochNumber => !epochs[epochNumber].resolved);
+  }
+
+  async getListing(listingHash) {
+    const [
+      applicationExpiry, whitelisted, owner, unstakedDeposit, challengeID, data, dataUpdateExpiry,
+      exitTime, exitTimeExpiry,
+    ] = await this.registry.listings.call(listingHash);
+    return {
+      applicationExpiry,
+      whitelisted,
+      owner,
+      unstakedDeposit,
+      challengeID,
+      data,
+      dataUpdateExpiry,
+      exitTime,
+      exitTimeExpiry,
+    };
+  }
+
+  /**
+   * Returns every whitelisted listingHash, in the order they were whitelisted, from the Registry's
+   * on-chain index. Listings removed while the pages are read shift the later pages.
+   * @param {number} [pageSize] the number of listingHashes read per call
+   * @returns {Promise<Array<string>>}
+   */
+  async getWhitelistedListings(pageSize = 100) {
+    return readListingIndex(
+      this.registry.getWhitelistedListings,
+      this.registry.getWhitelistedCount,
+      pageSize,
+    );
+  }
+
+  /**
+   * Returns every listingHash with a pending application, in the order they applied, from the
+   * Registry's on-chain index.
+   * @param {number} [pageSize] the number of listingHashes read per call
+   * @returns {Promise<Array<string>>}
+   */
+  async getApplications(pageSize = 100) {
+    return readListingIndex(
+      this.registry.getApplications,
+      this.registry.getApplicationCount,
+      pageSize,
+    );
+  }
+
+  async getChallenge(challengeID) {
+    const [
+      rewardPool, challenger, resolved, stake, totalTokens, totalWinningTokens, epochNumber,
+      listingHash,
+    ] = await this.registry.challenges.call(challengeID);
+    return {
+      rewardPool,
+      challenger,
+      resolved,
+      stake,
+      totalTokens,
+      totalWinningTokens,
+      epochNumber,
+      listingHash,
+    };
+  }
+
+  /**
+   * Returns the pollID of a challenge's appeal, 0 if it was not appealed. The appeal is read with
+   * getChallenge like the challenge itself.
+   * @returns {Promise<BigNumber>}
+   */
+  async getAppealID(challengeID) {
+    return this.registry.appeals.call(challengeID);
+  }
+
+  /**
+   * Returns the challengeIDs of every challenge a listing faced, oldest first, each appeal
+   * following the challenge it appealed.
+   * @returns {Promise<Array<BigNumber>>}
+   */
+  async getListingChallenges(listingHash) {
+    return this.registry.getListingChallenges.call(listingHash);
+  }
+
+  /**
+   * Returns the state of a listing, named like Registry.ListingStatus, with the end of its apply
+   * stage and of its unresolved challenge's commit and reveal stages, and the data of its pending
+   * update with the end of the update's challenge window; deadlines that do not apply are 0, and
+   * pendingData is empty without a pending update.
+   * @returns {Promise<Object>} { status, applicationExpiry, commitEndDate, revealEndDate, pendingData, dataUpdateExpiry }
+   */
+  async getListingStatus(listingHash) {
+    const [
+      status, applicationExpiry, commitEndDate, revealEndDate, pendingData, dataUpdateExpiry,
+    ] = await this.registry.getListingStatus.call(listingHash);
+    return {
+      status: LISTING_STATUSES[status.toNumber()],
+      applicationExpiry,
+      commitEndDate,
+      revealEndDate,
+      pendingData,
+      dataUpdateExpiry,
+    };
+  }
+
+  async pendingOwner(listingHash) {
+    return this.registry.pendingOwners.call(listingHash);
+  }
+
+  async challengeCanBeResolved(listingHash) {
+    return this.registry.challengeCanBeResolved.call(listingHash);
+  }
+
+  async dataUpdateCanBeApplied(listingHash) {
+    return this.registry.dataUpdateCanBeApplied.call(listingHash);
+  }
+
+  async canBeAppealed(listingHash) {
+    return this.registry.canBeAppealed.call(listingHash);
+  }
+
+  async tokenClaims(challengeID, voter) {
+    return this.registry.tokenClaims.call(challengeID, voter);
+  }
+
+  async voterReward(voter, challengeID, salt) {
+    return this.registry.voterReward.call(
+      voter,
+      challengeID,
+      this.storedSalt(challengeID, voter, salt),
+    );
+  }
+
+  // -------
+  // VOTING
+  // -------
+
+  /**
+   * Commits a vote, computing the voter's DLL insert point. PLCRVoting requests any voting rights
+   * the voter is short of, so the voter must have approved PLCRVoting for numTokens.
+   * Without a salt, a random one is generated. The vote is stored in the vault before the commit
+   * is sent, so a salt cannot be lost to a crash. The result carries the salt.
+   */
+  async commitVote(pollID, voteOption, numTokens, salt, params) {
+    const txParams = this.txParams(params);
+    if (isMissing(salt) && !this.vault) {
+      throw new Error('A salt is required when the client has no vault');
+    }
+    const voteSalt = isMissing(salt) ? Vault.generateSalt() : salt;
+
+    const prevPollID =
+      await this.voting.getInsertPointForNumTokens.call(txParams.from, numTokens, pollID);
+    if (this.vault) {
+      this.vault.put({
+        pollID, voter: txParams.from, voteOption, salt: voteSalt, numTokens,
+      });
+    }
+
+    const secretHash = getVoteSaltHash(voteOption, voteSalt);
+    const result =
+      await this.voting.commitVote(pollID, secretHash, numTokens, prevPollID, txParams);
+    return Object.assign(result, { salt: voteSalt });
+  }
+
+  /**
+   * Reveals a vote. Without a salt, the voteOption and salt stored in the vault are revealed.
+   */
+  async revealVote(pollID, voteOption, salt, params) {
+    const txParams = this.txParams(params);
+    const vote = isMissing(salt) ? this.storedVote(pollID, txParams.from) : { voteOption, salt };
+
+    const result = await this.voting.revealVote(pollID, vote.voteOption, vote.salt, txParams);
+    if (this.vault && this.vault.get(pollID, txParams.from)) {
+      this.vault.update(pollID, txParams.from, { revealed: true });
+    }
+    return result;
+  }
+
+  async requestVotingRights(numTokens, params) {
+    return this.voting.requestVotingRights(numTokens, this.txParams(params));
+  }
+
+  async withdrawVotingRights(numTokens, params) {
+    return this.voting.withdrawVotingRights(numTokens, this.txParams(params));
+  }
+
+  async revealPeriodActive(pollID) {
+    return this.voting.revealPeriodActive.call(pollID);
+  }
+
+  async didReveal(voter, pollID) {
+    return this.voting.didReveal.call(voter, pollID);
+  }
+
+  async getPoll(pollID) {
+    const [
+      commitEndDate, revealEndDate, voteQuorum, votesFor, votesAgainst,
+    ] = await this.voting.pollMap.call(pollID);
+    return {
+      commitEndDate, revealEndDate, voteQuorum, votesFor, votesAgainst,
+    };
+  }
+
+  // --------------
+  // PARAMETERIZER
+  // --------------
+
+  /**
+   * Proposes a reparameterization. The result carries the new propID.
+   */
+  async proposeReparameterization(name, value, params) {
+    const result =
+      await this.parameterizer.proposeReparameterization(name, value, this.txParams(params));
+    return Object.assign(result, {
+      propID: getReceiptValue(result, 'propID', '_ReparameterizationProposal'),
+    });
+  }
+
+  /**
+   * Challenges a reparameterization proposal. The result carries the new challengeID.
+   */
+  async challengeReparameterization(propID, params) {
+    const result =
+      await this.parameterizer.challengeReparameterization(propID, this.txParams(params));
+    return Object.assign(result, {
+      challengeID: getReceiptValue(result, 'challengeID', '_NewChallenge'),
+    });
+  }
+
+  async processProposal(propID, params) {
+    return this.parameterizer.processProposal(propID, this.txParams(params));
+  }
+
+  async claimParameterizerReward(challengeID, salt, params) {
+    const txParams = this.txParams(params);
+    return this.parameterizer.claimReward(
+      challengeID,
+      this.storedSalt(challengeID, txParams.from, salt),
+      txParams,
+    );
+  }
+
+  async canBeSet(propID) {
+    return this.parameterizer.canBeSet.call(propID);
+  }
+
+  async proposalChallengeCanBeResolved(propID) {
+    return this.parameterizer.challengeCanBeResolved.call(propID);
+  }
+
+  async parameterizerTokenClaims(challengeID, voter) {
+    return this.parameterizer.tokenClaims.call(challengeID, voter);
+  }
+
+  async get(name) {
+    return this.parameterizer.get.call(name);
+  }
+
+  async getProposal(propID) {
+    const [
+      appExpiry, challengeID, deposit, name, owner, processBy, value,
+    ] = await this.parameterizer.proposals.call(propID);
+    return {
+      appExpiry, challengeID, deposit, name, owner, processBy, value,
+    };
+  }
+
+  // -----
+  // BANK
+  // -----
+
+  async getCurrentEpochNumber() {
+    return this.bank.getCurrentEpochNumber.call();
+  }
+
+  async getScheduledInflation(epochNumber) {
+    return this.bank.getScheduledInflation.call(epochNumber);
+  }
+
+  async getEpochInflation(epochNumber) {
+    return this.bank.getEpochInflation.call(epochNumber);
+  }
+
+  async getEpoch(epochNumber) {
+    const [
+      [tokens, inflation, resolved],
+      [claimedInflation, swept],
+      [challengerStakes, challengerInflation, listingOwnerStakes, listingOwnerInflation],
+    ] = await Promise.all([
+      this.bank.getEpochDetails.call(epochNumber),
+      this.bank.getEpochClaimDetails.call(epochNumber),
+      this.bank.getEpochStakeDetails.call(epochNumber),
+    ]);
+    return {
+      tokens,
+      inflation,
+      resolved,
+      claimedInflation,
+      swept,
+      challengerStakes,
+      challengerInflation,
+      listingOwnerStakes,
+      listingOwnerInflation,
+    };
+  }
+
+  /**
+   * Returns the Bank parameters governed through the Parameterizer that apply to an epoch.
+   */
+  async getBankParameters(epochNumber) {
+    const [
+      emissionParameter, resolverBountyPct, challengerInflationPct, listingOwnerInflationPct,
+    ] = await this.bank.getParameters.call(epochNumber);
+    return {
+      emissionParameter, resolverBountyPct, challengerInflationPct, listingOwnerInflationPct,
+    };
+  }
+
+  async getCarriedInflation() {
+    return this.bank.carriedInflation.call();
+  }
+
+  async inflationSweepable(epochNumber) {
+    return this.bank.inflationSweepable.call(epochNumber);
+  }
+
+  async getEpochVoterTokens(epochNumber, voter) {
+    return this.bank.getEpochVoterTokens.call(epochNumber, voter);
+  }
+
+  async getEpochInflationVoterRewards(epochNumber, voter) {
+    return this.bank.getEpochInflationVoterRewards.call(epochNumber, voter);
+  }
+
+  async inflationClaimed(epochNumber, voter) {
+    return this.bank.inflationClaimed.call(epochNumber, voter);
+  }
+
+  async getClaimedInflationVoterRewards(epochNumber, voter) {
+    return this.bank.getClaimedInflationVoterRewards.call(epochNumber, voter);
+  }
+
+  async getEpochStakes(epochNumber, account) {
+    const [challengerStake, listingOwnerStake] =
+      await this.bank.getEpochStakes.call(epochNumber, account);
+    return { challengerStake, listingOwnerStake };
+  }
+
+  async getEpochInflationStakeRewards(epochNumber, account) {
+    return this.bank.getEpochInflationStakeRewards.call(epochNumber, account);
+  }
+
+  async stakeInflationClaimed(epochNumber, account) {
+    return this.bank.stakeInflationClaimed.call(epochNumber, account);
+  }
+}
+
+module.exports = Client;
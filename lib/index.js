@@ -0,0 +1,15 @@
+const Client = require('./client');
+const Indexer = require('./indexer');
+const Keeper = require('./keeper');
+const { createServer } = require('./server');
+const utils = require('./utils');
+const Vault = require('./vault');
+
+module.exports = {
+  Client,
+  Indexer,
+  Keeper,
+  createServer,
+  utils,
+  Vault,
+};
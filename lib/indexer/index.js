@@ -0,0 +1,296 @@
+const EventEmitter = require('events');
+const path = require('path');
+const Eth = require('ethjs-query');
+const abi = require('ethjs-abi');
+
+const { createReducer } = require('./reducer');
+const { MemoryStore, FileStore } = require('./store');
+
+const loadAbi = name => (
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  require(path.join(__dirname, '../../build/contracts', `${name}.json`)).abi
+);
+
+const stringify = (type, value) => {
+  if (type === 'address' || type.startsWith('bytes')) {
+    return value.toLowerCase();
+  }
+  if (type === 'string' || type === 'bool') {
+    return value;
+  }
+  return value.toString(10);
+};
+
+/**
+ * Replays Registry and Parameterizer events into a local store and keeps the derived registry
+ * state (listings, challenges, proposals, epochs and voter rewards) up to date.
+ *
+ * Progress is saved as a checkpoint (block number and hash) after every batch of blocks, so a
+ * restarted indexer resumes where it left off. Before each sync the latest checkpoints are
+ * compared against the chain; when a checkpoint's block was reorganized away, the indexer falls
+ * back to the newest checkpoint still on the canonical chain, drops the events after it and
+ * replays the rest.
+ *
+ * Emits 'event' for every applied event, 'reorg' with the checkpoint it rewound to, and 'sync'
+ * with the checkpoint it reached.
+ */
+class Indexer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider           a web3-compatible provider, e.g. ethjs-provider-http
+   * @param {string} options.registry           address of the Registry proxy
+   * @param {string} [options.parameterizer]    address of the Parameterizer; read from the Registry if omitted
+   * @param {Object} [options.abis]             { Registry, Parameterizer } ABIs; read from build/contracts if omitted
+   * @param {number} [options.fromBlock]        the block the Registry was deployed in
+   * @param {number} [options.confirmations]    number of blocks to stay behind the chain head
+   * @param {number} [options.batchSize]        number of blocks requested per eth_getLogs call
+   * @param {number} [options.reorgDepth]       number of checkpoints kept to recover from reorgs
+   * @param {Object} [options.store]            a MemoryStore, a FileStore or anything with load(), save() and append()
+   */
+  constructor({
+    provider,
+    registry,
+    parameterizer,
+    abis = {},
+    fromBlock = 0,
+    confirmations = 0,
+    batchSize = 1000,
+    reorgDepth = 100,
+    store = new MemoryStore(),
+  }) {
+    super();
+    this.eth = new Eth(provider);
+    this.addresses = { Registry: registry.toLowerCase(), Parameterizer: parameterizer };
+    this.abis = {
+      Registry: abis.Registry || loadAbi('Registry'),
+      Parameterizer: abis.Parameterizer || loadAbi('Parameterizer'),
+    };
+    this.fromBlock = fromBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.store = store;
+
+    this.eventsBySignature = Object.keys(this.abis).reduce((acc, contract) => Object.assign(acc, {
+      [contract]: this.abis[contract]
+        .filter(item => item.type === 'event')
+        .reduce((events, item) => Object.assign(events, { [abi.eventSignature(item)]: item }), {}),
+    }), {});
+
+    this.data = null;
+    this.reducer = createReducer();
+    this.state = this.reducer.state;
+  }
+
+  /**
+   * Loads the store and rebuilds the state from the stored events.
+   */
+  async init() {
+    if (!this.addresses.Parameterizer) {
+      this.addresses.Parameterizer = await this.callRegistry('parameterizer');
+    }
+    this.addresses.Parameterizer = this.addresses.Parameterizer.toLowerCase();
+
+    this.data = (await this.store.load()) || {
+      registry: this.addresses.Registry,
+      fromBlock: this.fromBlock,
+      checkpoint: null,
+      checkpoints: [],
+      events: [],
+    };
+    if (this.data.registry !== this.addresses.Registry) {
+      throw new Error(`Store was indexed for registry ${this.data.registry}`);
+    }
+    this.rebuild();
+    return this;
+  }
+
+  /**
+   * Indexes every confirmed block since the last checkpoint.
+   * @returns {Promise<Object>} the new checkpoint
+   */
+  async sync() {
+    if (!this.data) {
+      await this.init();
+    }
+    await this.handleReorg();
+
+    const head = (await this.eth.blockNumber()).toNumber();
+    const toBlock = head - this.confirmations;
+    const fromBlock = this.data.checkpoint ? this.data.checkpoint.blockNumber + 1 : this.data.fromBlock;
+
+    if (toBlock >= fromBlock) {
+      await this.syncRange(fromBlock, toBlock);
+    }
+    this.emit('sync', this.data.checkpoint);
+    return this.data.checkpoint;
+  }
+
+  /**
+   * Syncs every interval milliseconds until stop() is called. Errors are emitted as 'error'.
+   */
+  start(interval = 15000) {
+    this.stopped = false;
+    const loop = () => this.sync()
+      .catch(err => this.emit('error', err))
+      .then(() => {
+        if (!this.stopped) {
+          this.timer = setTimeout(loop, interval);
+        }
+      });
+    return loop();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  // --------
+  // GETTERS
+  // --------
+
+  /**
+   * @param {string} [status] 'applying', 'whitelisted' or 'removed'
+   */
+  getListings(status) {
+    const listings = Object.keys(this.state.listings).map(hash => this.state.listings[hash]);
+    return status ? listings.filter(listing => listing.status === status) : listings;
+  }
+
+  getListing(listingHash) {
+    return this.state.listings[listingHash.toLowerCase()];
+  }
+
+  /**
+   * Returns true if the listing's latest challenge has not been resolved yet.
+   */
+  isChallenged(listingHash) {
+    const listing = this.getListing(listingHash);
+    const challenge = listing && this.state.challenges[listing.challengeID];
+    return Boolean(challenge && !challenge.resolved);
+  }
+
+  getChallenge(challengeID) {
+    return this.state.challenges[challengeID.toString(10)];
+  }
+
+  /**
+   * @param {string} [status] 'pending', 'challenged', 'accepted', 'rejected' or 'expired'
+   */
+  getProposals(status) {
+    const proposals = Object.keys(this.state.proposals).map(propID => this.state.proposals[propID]);
+    return status ? proposals.filter(proposal => proposal.status === status) : proposals;
+  }
+
+  getProposal(propID) {
+    return this.state.proposals[propID.toLowerCase()];
+  }
+
+  getEpoch(epochNumber) {
+    return this.state.epochs[epochNumber.toString(10)];
+  }
+
+  getVoter(address) {
+    return this.state.voters[address.toLowerCase()];
+  }
+
+  // ----------------
+  // PRIVATE METHODS
+  // ----------------
+
+  async callRegistry(method) {
+    const methodAbi = this.abis.Registry.find(item => item.type === 'function' && item.name === method);
+    const result = await this.eth.call({
+      to: this.addresses.Registry,
+      data: abi.encodeMethod(methodAbi, []),
+    }, 'latest');
+    return abi.decodeMethod(methodAbi, result)[0];
+  }
+
+  async syncRange(fromBlock, toBlock) {
+    const batchEnd = Math.min((fromBlock + this.batchSize) - 1, toBlock);
+    const events = await this.getEvents(fromBlock, batchEnd);
+    const block = await this.eth.getBlockByNumber(batchEnd, false);
+
+    events.forEach((event) => {
+      this.data.events.push(event);
+      this.reducer.reduce(event);
+      this.emit('event', event);
+    });
+
+    this.data.checkpoint = { blockNumber: batchEnd, blockHash: block.hash };
+    this.data.checkpoints = this.data.checkpoints.concat(this.data.checkpoint).slice(-this.reorgDepth);
+    await this.store.append(this.data, events);
+
+    if (batchEnd < toBlock) {
+      await this.syncRange(batchEnd + 1, toBlock);
+    }
+  }
+
+  async getEvents(fromBlock, toBlock) {
+    const logs = await Promise.all(Object.keys(this.addresses).map(async contract => (
+      (await this.eth.getLogs({ fromBlock, toBlock, address: this.addresses[contract] }))
+        .map(log => this.decode(contract, log))
+        .filter(event => event)
+    )));
+
+    return [].concat(...logs).sort((a, b) => (
+      (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex)
+    ));
+  }
+
+  decode(contract, log) {
+    const eventAbi = this.eventsBySignature[contract][log.topics[0]];
+    if (!eventAbi) {
+      return null;
+    }
+
+    const decoded = abi.decodeEvent(eventAbi, log.data, log.topics, false);
+    return {
+      contract,
+      event: eventAbi.name,
+      args: eventAbi.inputs.reduce((args, input) => Object.assign(args, {
+        [input.name]: stringify(input.type, decoded[input.name]),
+      }), {}),
+      blockNumber: log.blockNumber.toNumber(),
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex.toNumber(),
+    };
+  }
+
+  async handleReorg() {
+    const { checkpoint } = this.data;
+    if (!checkpoint) {
+      return;
+    }
+
+    const block = await this.eth.getBlockByNumber(checkpoint.blockNumber, false);
+    if (block && block.hash === checkpoint.blockHash) {
+      return;
+    }
+
+    this.data.checkpoints.pop();
+    const previous = this.data.checkpoints[this.data.checkpoints.length - 1] || null;
+    const lastBlock = previous ? previous.blockNumber : this.data.fromBlock - 1;
+
+    this.data.checkpoint = previous;
+    this.data.events = this.data.events.filter(event => event.blockNumber <= lastBlock);
+    this.rebuild();
+    await this.store.save(this.data);
+    this.emit('reorg', previous);
+
+    await this.handleReorg();
+  }
+
+  rebuild() {
+    this.reducer = createReducer();
+    this.data.events.forEach(event => this.reducer.reduce(event));
+    this.state = this.reducer.state;
+  }
+}
+
+module.exports = Indexer;
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileStore = FileStore;
@@ -0,0 +1,404 @@
+/**
+ * Folds decoded Registry and Parameterizer events into a plain, JSON-serializable registry state.
+ * Every numeric value is kept as a base 10 string and every address is lowercased. A reducer owns
+ * the state it folds events into and updates it in place.
+ *
+ * Registry and Parameterizer challenges share the same PLCRVoting poll nonce, so both live in
+ * `challenges`, keyed by challengeID (pollID) and told apart by their `kind`. Appeals of Registry
+ * challenges have polls of their own and live there too.
+ */
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const initialState = () => ({
+  listings: {},
+  challenges: {},
+  proposals: {},
+  epochs: {},
+  voters: {},
+});
+
+/**
+ * Creates a reducer folding events into a new initial state.
+ * @returns {{state: Object, reduce: function(Object): Object}}
+ */
+const createReducer = () => {
+  const state = initialState();
+
+  const getVoter = (address) => {
+    if (!state.voters[address]) {
+      state.voters[address] = {
+        address, rewards: [], participationRewards: [], inflationRewards: [], stakeInflationRewards: [],
+      };
+    }
+    return state.voters[address];
+  };
+
+  const getEpoch = (epochNumber) => {
+    if (!state.epochs[epochNumber]) {
+      state.epochs[epochNumber] = {
+        epochNumber,
+        tokens: '0',
+        inflation: '0',
+        resolved: false,
+        resolver: null,
+        resolverBounty: '0',
+        rolledOver: false,
+        carriedInflation: '0',
+        swept: false,
+        sweptInflation: '0',
+        parameterUpdate: null,
+        claims: [],
+        stakeClaims: [],
+      };
+    }
+    return state.epochs[epochNumber];
+  };
+
+  const resolveChallenge = (args, meta, succeeded) => {
+    const challenge = state.challenges[args.challengeID];
+    if (challenge) {
+      Object.assign(challenge, {
+        resolved: true,
+        succeeded,
+        rewardPool: args.rewardPool,
+        totalTokens: args.totalTokens,
+        resolvedAt: meta.blockNumber,
+      });
+      // the appeal decided the challenge
+      const appeal = state.challenges[challenge.appealID];
+      if (appeal) { appeal.succeeded = succeeded; }
+    }
+  };
+
+  const removeListing = ({ listingHash }, meta, reason) => {
+    const listing = state.listings[listingHash];
+    if (listing) {
+      Object.assign(listing, {
+        status: 'removed',
+        whitelisted: false,
+        removedAt: meta.blockNumber,
+        removalReason: reason,
+      });
+    }
+  };
+
+  const claimReward = (args, meta) => {
+    getVoter(args.voter).rewards.push({
+      challengeID: args.challengeID,
+      reward: args.reward,
+      blockNumber: meta.blockNumber,
+    });
+  };
+
+  const registryHandlers = {
+    _Application: (args, meta) => {
+      const previous = state.listings[args.listingHash];
+      state.listings[args.listingHash] = {
+        listingHash: args.listingHash,
+        owner: args.applicant,
+        pendingOwner: null,
+        deposit: args.deposit,
+        applicationExpiry: args.appEndDate,
+        data: args.data,
+        pendingData: null,
+        dataUpdateExpiry: '0',
+        exitTime: '0',
+        exitTimeExpiry: '0',
+        status: 'applying',
+        whitelisted: false,
+        challengeID: '0',
+        challenges: previous ? previous.challenges : [],
+        appliedAt: meta.blockNumber,
+      };
+    },
+
+    _Challenge: (args, meta) => {
+      state.challenges[args.challengeID] = {
+        challengeID: args.challengeID,
+        kind: 'listing',
+        listingHash: args.listingHash,
+        challenger: args.challenger,
+        data: args.data,
+        commitEndDate: args.commitEndDate,
+        revealEndDate: args.revealEndDate,
+        stake: null,
+        resolved: false,
+        succeeded: null,
+        appealID: null,
+        overturned: false,
+        rewardPool: null,
+        totalTokens: null,
+        createdAt: meta.blockNumber,
+        resolvedAt: null,
+      };
+
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        listing.challengeID = args.challengeID;
+        listing.challenges.push(args.challengeID);
+      }
+    },
+
+    // emitted right after the challenge's _Challenge
+    _ChallengeStake: (args) => {
+      const challenge = state.challenges[args.challengeID];
+      if (challenge) { challenge.stake = args.stake; }
+    },
+
+    _Appeal: (args, meta) => {
+      state.challenges[args.appealID] = {
+        challengeID: args.appealID,
+        kind: 'appeal',
+        appealOf: args.challengeID,
+        listingHash: args.listingHash,
+        challenger: args.appellant,
+        commitEndDate: args.commitEndDate,
+        revealEndDate: args.revealEndDate,
+        stake: args.stake,
+        resolved: false,
+        succeeded: null,
+        rewardPool: null,
+        totalTokens: null,
+        createdAt: meta.blockNumber,
+        resolvedAt: null,
+      };
+
+      const challenge = state.challenges[args.challengeID];
+      if (challenge) { challenge.appealID = args.appealID; }
+      const listing = state.listings[args.listingHash];
+      if (listing) { listing.challenges.push(args.appealID); }
+    },
+
+    // emitted before the challenge's _ChallengeFailed or _ChallengeSucceeded
+    _AppealResolved: (args, meta) => {
+      const challenge = state.challenges[args.challengeID];
+      if (challenge) { challenge.overturned = args.overturned; }
+      const appeal = state.challenges[args.appealID];
+      if (appeal) {
+        Object.assign(appeal, {
+          resolved: true,
+          rewardPool: args.rewardPool,
+          totalTokens: args.totalTokens,
+          resolvedAt: meta.blockNumber,
+        });
+      }
+    },
+
+    _Deposit: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) { listing.deposit = args.newTotal; }
+    },
+
+    _Withdrawal: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) { listing.deposit = args.newTotal; }
+    },
+
+    // the update stays pending until its challenge window passed
+    _ListingDataUpdated: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        Object.assign(listing, { pendingData: args.data, dataUpdateExpiry: args.dataUpdateExpiry });
+      }
+    },
+
+    _ListingDataApplied: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        Object.assign(listing, { data: listing.pendingData, pendingData: null, dataUpdateExpiry: '0' });
+      }
+    },
+
+    _ListingOwnershipTransferInitiated: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        // a transfer to the zero address cancels the pending one
+        listing.pendingOwner = args.newOwner === ZERO_ADDRESS ? null : args.newOwner;
+      }
+    },
+
+    _ListingOwnershipTransferred: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        // the previous owner's exit does not carry over
+        Object.assign(listing, {
+          owner: args.newOwner, pendingOwner: null, exitTime: '0', exitTimeExpiry: '0',
+        });
+      }
+    },
+
+    _ApplicationWhitelisted: (args, meta) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        Object.assign(listing, { status: 'whitelisted', whitelisted: true, whitelistedAt: meta.blockNumber });
+      }
+    },
+
+    _ApplicationRemoved: (args, meta) => removeListing(args, meta, 'applicationRemoved'),
+    _ListingRemoved: (args, meta) => removeListing(args, meta, 'listingRemoved'),
+    _ExitInitialized: (args) => {
+      const listing = state.listings[args.listingHash];
+      if (listing) {
+        Object.assign(listing, { exitTime: args.exitTime, exitTimeExpiry: args.exitTimeExpiry });
+      }
+    },
+
+    _ListingWithdrawn: (args, meta) => removeListing(args, meta, 'withdrawn'),
+    _TouchAndRemoved: (args, meta) => removeListing(args, meta, 'touchAndRemoved'),
+
+    _ChallengeFailed: (args, meta) => resolveChallenge(args, meta, false),
+    _ChallengeSucceeded: (args, meta) => resolveChallenge(args, meta, true),
+
+    _RewardClaimed: claimReward,
+
+    _ParticipationRewardClaimed: (args, meta) => {
+      getVoter(args.voter).participationRewards.push({
+        challengeID: args.challengeID,
+        participationTokens: args.participationTokens,
+        blockNumber: meta.blockNumber,
+      });
+    },
+
+    _EpochResolved: (args) => {
+      Object.assign(getEpoch(args.epochNumber), {
+        tokens: args.epochTokens,
+        inflation: args.epochInflation,
+        resolved: true,
+        resolver: args.resolver,
+        resolverBounty: args.resolverBounty,
+      });
+    },
+
+    _EpochRolledOver: (args) => {
+      Object.assign(getEpoch(args.epochNumber), {
+        resolved: true,
+        resolver: args.resolver,
+        rolledOver: true,
+        carriedInflation: args.carriedInflation,
+      });
+    },
+
+    _EpochInflationSwept: (args) => {
+      Object.assign(getEpoch(args.epochNumber), {
+        swept: true,
+        sweptInflation: args.sweptInflation,
+      });
+    },
+
+    _InflationRewardsClaimed: (args, meta) => {
+      const claim = {
+        epochNumber: args.epochNumber,
+        voter: args.voter,
+        reward: args.epochInflationVoterRewards,
+        blockNumber: meta.blockNumber,
+      };
+      Object.assign(getEpoch(args.epochNumber), {
+        tokens: args.epochTokens,
+        inflation: args.epochInflation,
+      }).claims.push(claim);
+      getVoter(args.voter).inflationRewards.push(claim);
+    },
+
+    _StakeInflationRewardsClaimed: (args, meta) => {
+      const claim = {
+        epochNumber: args.epochNumber,
+        stakeholder: args.stakeholder,
+        reward: args.epochInflationStakeRewards,
+        blockNumber: meta.blockNumber,
+      };
+      getEpoch(args.epochNumber).stakeClaims.push(claim);
+      getVoter(args.stakeholder).stakeInflationRewards.push(claim);
+    },
+  };
+
+  const resolveProposalChallenge = (args, meta, succeeded) => {
+    resolveChallenge(args, meta, succeeded);
+    const proposal = state.proposals[args.propID];
+    if (proposal) {
+      proposal.status = succeeded ? 'rejected' : 'accepted';
+    }
+  };
+
+  const parameterizerHandlers = {
+    _ReparameterizationProposal: (args, meta) => {
+      state.proposals[args.propID] = {
+        propID: args.propID,
+        name: args.name,
+        value: args.value,
+        deposit: args.deposit,
+        appExpiry: args.appEndDate,
+        proposer: args.proposer,
+        status: 'pending',
+        challengeID: '0',
+        proposedAt: meta.blockNumber,
+      };
+    },
+
+    _NewChallenge: (args, meta) => {
+      state.challenges[args.challengeID] = {
+        challengeID: args.challengeID,
+        kind: 'proposal',
+        propID: args.propID,
+        challenger: args.challenger,
+        commitEndDate: args.commitEndDate,
+        revealEndDate: args.revealEndDate,
+        resolved: false,
+        succeeded: null,
+        rewardPool: null,
+        totalTokens: null,
+        createdAt: meta.blockNumber,
+        resolvedAt: null,
+      };
+
+      const proposal = state.proposals[args.propID];
+      if (proposal) {
+        Object.assign(proposal, { status: 'challenged', challengeID: args.challengeID });
+      }
+    },
+
+    _ProposalAccepted: (args) => {
+      const proposal = state.proposals[args.propID];
+      if (proposal) { proposal.status = 'accepted'; }
+    },
+
+    _ProposalExpired: (args) => {
+      const proposal = state.proposals[args.propID];
+      if (proposal) { proposal.status = 'expired'; }
+    },
+
+    // the Bank's governed parameters apply from fromEpoch on
+    _BankParametersUpdated: (args, meta) => {
+      getEpoch(args.fromEpoch).parameterUpdate = { blockNumber: meta.blockNumber };
+    },
+
+    _ChallengeFailed: (args, meta) => resolveProposalChallenge(args, meta, false),
+    _ChallengeSucceeded: (args, meta) => resolveProposalChallenge(args, meta, true),
+
+    _RewardClaimed: claimReward,
+  };
+
+  const handlers = {
+    Registry: registryHandlers,
+    Parameterizer: parameterizerHandlers,
+  };
+
+  /**
+   * Applies one decoded event to the state. Unknown events are ignored.
+   * @param {{contract: string, event: string, args: Object, blockNumber: number}} event
+   * @returns {Object} the state
+   */
+  const reduce = (event) => {
+    const handler = (handlers[event.contract] || {})[event.event];
+    if (handler) {
+      handler(event.args, event);
+    }
+    return state;
+  };
+
+  return { state, reduce };
+};
+
+module.exports = {
+  createReducer,
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+
+/**
+ * Keeps indexer data in memory. Useful for tests and short-lived processes.
+ */
+class MemoryStore {
+  constructor() {
+    this.data = null;
+  }
+
+  async load() {
+    return this.data && JSON.parse(JSON.stringify(this.data));
+  }
+
+  async save(data) {
+    this.data = JSON.parse(JSON.stringify(data));
+  }
+
+  async append(data) {
+    await this.save(data);
+  }
+}
+
+const writeFile = (path, contents) => {
+  const tmp = `${path}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, path);
+};
+
+const toLines = events => events.map(event => `${JSON.stringify(event)}\n`).join('');
+
+/**
+ * Keeps indexer data in files so that a restarted indexer resumes from its last checkpoint. The
+ * checkpoints are kept in a JSON file, and the events in a file of their own, with one JSON event
+ * per line, to which each batch of events is appended. Writes of whole files go to a temporary
+ * file which is then renamed over the previous one.
+ */
+class FileStore {
+  constructor(path) {
+    this.path = path;
+    this.eventsPath = `${path}.events`;
+  }
+
+  async load() {
+    if (!fs.existsSync(this.path)) {
+      // events left without checkpoints are indexed again
+      if (fs.existsSync(this.eventsPath)) {
+        fs.unlinkSync(this.eventsPath);
+      }
+      return null;
+    }
+    const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    const lines = fs.existsSync(this.eventsPath) ?
+      fs.readFileSync(this.eventsPath, 'utf8').split('\n').filter(line => line) :
+      [];
+
+    // events appended after the last saved checkpoint are indexed again
+    const lastBlock = data.checkpoint ? data.checkpoint.blockNumber : data.fromBlock - 1;
+    const events = lines.map(line => JSON.parse(line)).filter(event => event.blockNumber <= lastBlock);
+    if (events.length < lines.length) {
+      writeFile(this.eventsPath, toLines(events));
+    }
+    return Object.assign(data, { events });
+  }
+
+  async save(data) {
+    writeFile(this.eventsPath, toLines(data.events));
+    this.saveCheckpoints(data);
+  }
+
+  /**
+   * Appends a batch of events and saves the checkpoint that follows them.
+   */
+  async append(data, events) {
+    fs.appendFileSync(this.eventsPath, toLines(events));
+    this.saveCheckpoints(data);
+  }
+
+  // ----------------
+  // PRIVATE METHODS
+  // ----------------
+
+  saveCheckpoints(data) {
+    const checkpoints = Object.assign({}, data);
+    delete checkpoints.events;
+    writeFile(this.path, JSON.stringify(checkpoints));
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+};
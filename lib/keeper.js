@@ -0,0 +1,287 @@
+const EventEmitter = require('events');
+
+/**
+ * Runs a job for every item in sequence, keeping the results that are not null.
+ */
+const each = async (items, job) => {
+  const results = [];
+  await items.reduce(async (previous, item) => {
+    await previous;
+    const result = await job(item);
+    if (result) {
+      results.push(result);
+    }
+  }, Promise.resolve());
+  return results;
+};
+
+/**
+ * Returns the vote option that won a resolved challenge's poll: the final outcome, unless an appeal
+ * overturned the poll's vote. The voters of an overturned poll are not rewarded.
+ */
+const winningOption = challenge => (
+  challenge.succeeded !== Boolean(challenge.overturned) ? '0' : '1'
+);
+
+/**
+ * Acts on behalf of one voter so that no vote or reward is forfeited by missing a deadline. Every
+ * tick it syncs the indexer, then:
+ *
+ *   - reveals the votes stored in the client's vault while their reveal period is active
+ *   - calls updateStatus on listings and processProposal on proposals that can be resolved or set
+ *   - claims the voter rewards of resolved challenges the voter's revealed votes won
+ *   - credits the voter's revealed minority votes towards inflation rewards, if minorityParticipationPct is set
+ *   - resolves every closed epoch, earning the resolver bounty of those with voters
+ *   - claims the inflation rewards of every closed epoch the voter earned tokens in, in one batch
+ *   - claims the inflation rewards of the stakes the voter won as a challenger or listing owner
+ *
+ * Challenges resolved during a tick are claimed on the next one, once the indexer has seen them.
+ * A failed transaction is emitted as 'failure' and retried on the next tick; every sent transaction
+ * is emitted as 'transaction' with { action, tx } and the ids it acted on. Failures are not emitted
+ * as 'error', which would throw without a listener and stop the keeper.
+ */
+class Keeper extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Client} options.client    a Client with a vault, sending transactions from the voter
+   * @param {Indexer} options.indexer  an Indexer of the client's registry
+   * @param {string} [options.voter]   defaults to the client's from address
+   */
+  constructor({ client, indexer, voter = client.defaults.from }) {
+    super();
+    if (!client.vault) {
+      throw new Error('A keeper requires a client with a vault');
+    }
+    this.client = client;
+    this.indexer = indexer;
+    this.voter = voter.toLowerCase();
+  }
+
+  /**
+   * Runs every job once.
+   * @returns {Promise<Array<Object>>} the transactions sent
+   */
+  async tick() {
+    await this.indexer.sync();
+    const jobs = [
+      () => this.revealVotes(),
+      () => this.resolveChallenges(),
+      () => this.processProposals(),
+      () => this.claimRewards(),
+      () => this.claimParticipationRewards(),
+      () => this.resolveEpochs(),
+      () => this.claimInflationRewards(),
+      () => this.claimStakeInflationRewards(),
+    ];
+    return [].concat(...(await each(jobs, job => job())));
+  }
+
+  /**
+   * Ticks every interval milliseconds until stop() is called. A tick that fails is emitted as
+   * 'failure', and the next one runs as usual.
+   */
+  start(interval = 60000) {
+    this.stopped = false;
+    const loop = () => this.tick()
+      .catch(err => this.emit('failure', err))
+      .then(() => {
+        if (!this.stopped) {
+          this.timer = setTimeout(loop, interval);
+        }
+      });
+    return loop();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  // -----
+  // JOBS
+  // -----
+
+  async revealVotes() {
+    const votes = this.client.vault.list(this.voter).filter(vote => !vote.revealed);
+    return each(votes, async (vote) => {
+      if (await this.client.didReveal(this.voter, vote.pollID)) {
+        this.client.vault.update(vote.pollID, this.voter, { revealed: true });
+        return null;
+      }
+      if (!(await this.client.revealPeriodActive(vote.pollID))) {
+        return null;
+      }
+      return this.send({ action: 'revealVote', pollID: vote.pollID }, () => (
+        this.client.revealVote(vote.pollID, null, null, { from: this.voter })
+      ));
+    });
+  }
+
+  async resolveChallenges() {
+    const listings = this.indexer.getListings()
+      .filter(listing => listing.status !== 'removed' && this.indexer.isChallenged(listing.listingHash));
+    return each(listings, async ({ listingHash }) => {
+      if (!(await this.client.challengeCanBeResolved(listingHash))) {
+        return null;
+      }
+      return this.send({ action: 'updateStatus', listingHash }, () => (
+        this.client.updateStatus(listingHash, { from: this.voter })
+      ));
+    });
+  }
+
+  async processProposals() {
+    const proposals = this.indexer.getProposals()
+      .filter(proposal => proposal.status === 'pending' || proposal.status === 'challenged');
+    return each(proposals, async ({ propID }) => {
+      const processable = await this.client.canBeSet(propID) ||
+        await this.client.proposalChallengeCanBeResolved(propID);
+      if (!processable) {
+        return null;
+      }
+      return this.send({ action: 'processProposal', propID }, () => (
+        this.client.processProposal(propID, { from: this.voter })
+      ));
+    });
+  }
+
+  async claimRewards() {
+    const votes = this.client.vault.list(this.voter).filter((vote) => {
+      const challenge = this.indexer.getChallenge(vote.pollID);
+      return vote.revealed && !vote.claimed && challenge && challenge.resolved &&
+        !challenge.overturned && vote.voteOption === winningOption(challenge);
+    });
+
+    return each(votes, async (vote) => {
+      const { kind } = this.indexer.getChallenge(vote.pollID);
+      const claimed = kind !== 'proposal' ?
+        await this.client.tokenClaims(vote.pollID, this.voter) :
+        await this.client.parameterizerTokenClaims(vote.pollID, this.voter);
+      if (claimed) {
+        this.client.vault.update(vote.pollID, this.voter, { claimed: true });
+        return null;
+      }
+
+      const claim = kind !== 'proposal' ?
+        () => this.client.claimReward(vote.pollID, null, { from: this.voter }) :
+        () => this.client.claimParameterizerReward(vote.pollID, null, { from: this.voter });
+      const result = await this.send({ action: 'claimReward', challengeID: vote.pollID }, claim);
+      if (result) {
+        this.client.vault.update(vote.pollID, this.voter, { claimed: true });
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Credits the revealed votes of resolved registry challenges the voter lost, as long as the
+   * Parameterizer's minorityParticipationPct is not zero.
+   */
+  async claimParticipationRewards() {
+    const votes = this.client.vault.list(this.voter).filter((vote) => {
+      const challenge = this.indexer.getChallenge(vote.pollID);
+      return vote.revealed && !vote.claimed && challenge && challenge.resolved &&
+        challenge.kind !== 'proposal' && vote.voteOption !== winningOption(challenge);
+    });
+    if (votes.length === 0 || (await this.client.get('minorityParticipationPct')).isZero()) {
+      return [];
+    }
+
+    return each(votes, async (vote) => {
+      if (await this.client.tokenClaims(vote.pollID, this.voter)) {
+        this.client.vault.update(vote.pollID, this.voter, { claimed: true });
+        return null;
+      }
+      const result = await this.send({ action: 'claimParticipationReward', challengeID: vote.pollID }, () => (
+        this.client.claimParticipationReward(vote.pollID, null, { from: this.voter })
+      ));
+      if (result) {
+        this.client.vault.update(vote.pollID, this.voter, { claimed: true });
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Resolves closed epochs for the resolver bounty. Voter rewards and minority participation
+   * claimed after their epoch was resolved still count towards its inflation rewards, as the epoch
+   * tallied them when their challenge was resolved, so resolving does not cost other voters their
+   * share.
+   */
+  async resolveEpochs() {
+    const epochNumbers = await this.client.getUnresolvedEpochs();
+    return each(epochNumbers, epochNumber => (
+      this.send({ action: 'resolveEpoch', epochNumber: epochNumber.toString(10) }, () => (
+        this.client.resolveEpoch(epochNumber, { from: this.voter })
+      ))
+    ));
+  }
+
+  /**
+   * Claims the inflation rewards of every closed epoch at once. If the batch reverts, the epochs
+   * are claimed one at a time, so that an epoch that cannot be claimed does not hold back the
+   * others.
+   */
+  async claimInflationRewards() {
+    const epochNumbers = await this.client.getUnclaimedInflationEpochs(this.voter);
+    const rewarded = await Promise.all(epochNumbers.map(epochNumber => (
+      this.hasInflationRewards(epochNumber)
+    )));
+    const claimable = epochNumbers.filter((epochNumber, i) => rewarded[i]);
+    if (claimable.length === 0) {
+      return [];
+    }
+
+    const claim = batch => this.send({
+      action: 'claimInflationRewards',
+      epochNumbers: batch.map(epochNumber => epochNumber.toString(10)),
+    }, () => this.client.claimInflationRewardsForEpochs(batch, { from: this.voter }));
+    const result = await claim(claimable);
+    if (result || claimable.length === 1) {
+      return result ? [result] : [];
+    }
+    return each(claimable, epochNumber => claim([epochNumber]));
+  }
+
+  /**
+   * Claims the stake inflation rewards of every resolved epoch, one epoch at a time.
+   */
+  async claimStakeInflationRewards() {
+    const epochNumbers = await this.client.getUnclaimedStakeInflationEpochs(this.voter);
+    return each(epochNumbers, async (epochNumber) => {
+      const { resolved } = await this.client.getEpoch(epochNumber);
+      if (!resolved || (await this.client.getEpochInflationStakeRewards(epochNumber, this.voter)).isZero()) {
+        return null;
+      }
+      return this.send({ action: 'claimStakeInflationRewards', epochNumber: epochNumber.toString(10) }, () => (
+        this.client.claimStakeInflationRewards(epochNumber, { from: this.voter })
+      ));
+    });
+  }
+
+  // ----------------
+  // PRIVATE METHODS
+  // ----------------
+
+  async hasInflationRewards(epochNumber) {
+    const { resolved } = await this.client.getEpoch(epochNumber);
+    const inflationRewards = resolved ?
+      await this.client.getEpochInflationVoterRewards(epochNumber, this.voter) :
+      await this.client.getEpochInflation(epochNumber);
+    return !inflationRewards.isZero();
+  }
+
+  async send(details, transaction) {
+    try {
+      const { tx } = await transaction();
+      const sent = Object.assign({ tx }, details);
+      this.emit('transaction', sent);
+      return sent;
+    } catch (err) {
+      this.emit('failure', Object.assign(err, { details }));
+      return null;
+    }
+  }
+}
+
+module.exports = Keeper;
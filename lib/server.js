@@ -0,0 +1,159 @@
+const http = require('http');
+const url = require('url');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const parseInteger = (value, fallback, name) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `${name} should be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+};
+
+const paginate = (items, query) => {
+  const offset = parseInteger(query.offset, 0, 'offset');
+  const limit = Math.min(parseInteger(query.limit, DEFAULT_LIMIT, 'limit'), MAX_LIMIT);
+  return {
+    total: items.length,
+    offset,
+    limit,
+    items: items.slice(offset, offset + limit),
+  };
+};
+
+const found = (item) => {
+  if (!item) {
+    throw new HttpError(404, 'Not found');
+  }
+  return item;
+};
+
+const LISTING_STATUSES = ['applying', 'whitelisted', 'challenged', 'removed'];
+const PROPOSAL_STATUSES = ['pending', 'challenged', 'accepted', 'rejected', 'expired'];
+
+const checkStatus = (status, statuses) => {
+  if (status !== undefined && !statuses.includes(status)) {
+    throw new HttpError(400, `status should be one of: ${statuses.join(', ')}`);
+  }
+  return status;
+};
+
+/**
+ * Route handlers, tried in order. Each receives the indexer, the path parameters and the query.
+ */
+const routes = [
+  {
+    path: /^\/listings\/?$/,
+    handler: (indexer, params, query) => {
+      const status = checkStatus(query.status, LISTING_STATUSES);
+      const listings = indexer.getListings()
+        .filter(listing => !status ||
+          (status === 'challenged' ? indexer.isChallenged(listing.listingHash) : listing.status === status))
+        .filter(listing => !query.owner || listing.owner === query.owner.toLowerCase());
+      return paginate(listings.map(listing => Object.assign({
+        challenged: indexer.isChallenged(listing.listingHash),
+      }, listing)), query);
+    },
+  },
+  {
+    path: /^\/listings\/(0x[0-9a-fA-F]{64})$/,
+    handler: (indexer, [listingHash]) => {
+      const listing = found(indexer.getListing(listingHash));
+      return Object.assign({ challenged: indexer.isChallenged(listingHash) }, listing);
+    },
+  },
+  {
+    path: /^\/challenges\/(\d+)$/,
+    handler: (indexer, [challengeID]) => found(indexer.getChallenge(challengeID)),
+  },
+  {
+    path: /^\/proposals\/?$/,
+    handler: (indexer, params, query) => (
+      paginate(indexer.getProposals(checkStatus(query.status, PROPOSAL_STATUSES)), query)
+    ),
+  },
+  {
+    path: /^\/proposals\/(0x[0-9a-fA-F]{64})$/,
+    handler: (indexer, [propID]) => found(indexer.getProposal(propID)),
+  },
+  {
+    path: /^\/epochs\/(\d+)$/,
+    handler: (indexer, [epochNumber]) => found(indexer.getEpoch(epochNumber)),
+  },
+  {
+    path: /^\/voters\/(0x[0-9a-fA-F]{40})\/rewards$/,
+    handler: (indexer, [address]) => {
+      const voter = indexer.getVoter(address) || {
+        rewards: [], participationRewards: [], inflationRewards: [], stakeInflationRewards: [],
+      };
+      return {
+        address: address.toLowerCase(),
+        rewards: voter.rewards,
+        participationRewards: voter.participationRewards,
+        inflationRewards: voter.inflationRewards,
+        stakeInflationRewards: voter.stakeInflationRewards,
+      };
+    },
+  },
+];
+
+const handle = (indexer, req) => {
+  if (req.method !== 'GET') {
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const { pathname, query } = url.parse(req.url, true);
+  const route = routes.find(({ path }) => path.test(pathname));
+  if (!route) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  return route.handler(indexer, pathname.match(route.path).slice(1), query);
+};
+
+/**
+ * Creates a read-only HTTP server answering JSON queries from an Indexer's state:
+ *
+ *   GET /listings?status=&owner=&offset=&limit=   status: applying, whitelisted, challenged, removed
+ *   GET /listings/:listingHash
+ *   GET /challenges/:challengeID
+ *   GET /proposals?status=&offset=&limit=         status: pending, challenged, accepted, rejected, expired
+ *   GET /proposals/:propID
+ *   GET /epochs/:epochNumber
+ *   GET /voters/:address/rewards
+ *
+ * The server only reads the indexer; keep it synced with indexer.start().
+ * @param {Indexer} indexer
+ * @returns {http.Server}
+ */
+const createServer = indexer => http.createServer((req, res) => {
+  let statusCode = 200;
+  let body;
+  try {
+    body = handle(indexer, req);
+  } catch (err) {
+    statusCode = err.statusCode || 500;
+    body = { error: err.statusCode ? err.message : 'Internal server error' };
+  }
+
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(body));
+});
+
+module.exports = {
+  createServer,
+};
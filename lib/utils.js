@@ -0,0 +1,51 @@
+const abi = require('ethereumjs-abi');
+
+const utils = {
+  /**
+   * keccak256 of a listing's canonical name, e.g. a domain.
+   * @param {string} domain
+   * @returns {string} 0x-prefixed bytes32 listingHash
+   */
+  getListingHash: domain => (
+    `0x${abi.soliditySHA3(['string'], [domain]).toString('hex')}`
+  ),
+
+  /**
+   * The secret hash a PLCR voter commits: keccak256(voteOption, salt).
+   * @param {number|string} vote  1 to support, 0 to oppose
+   * @param {number|string} salt
+   * @returns {string} 0x-prefixed bytes32 commit hash
+   */
+  getVoteSaltHash: (vote, salt) => (
+    `0x${abi.soliditySHA3(['uint', 'uint'], [vote, salt]).toString('hex')}`
+  ),
+
+  /**
+   * Returns an argument of the first log in a receipt, or of the first log of the given event.
+   * @param {Object} receipt  truffle-contract transaction result
+   * @param {string} arg
+   * @param {string} [event]
+   */
+  getReceiptValue: (receipt, arg, event) => {
+    if (event) {
+      return (receipt.logs.filter(log => log.event === event)[0]).args[arg];
+    }
+    return receipt.logs[0].args[arg];
+  },
+
+  /**
+   * Flattens the decoded logs of a receipt into { event, args } objects with stringified values.
+   * @param {Object} receipt  truffle-contract transaction result
+   * @returns {Array<{event: string, args: Object}>}
+   */
+  getReceiptEvents: receipt => receipt.logs
+    .filter(log => log.event)
+    .map(log => ({
+      event: log.event,
+      args: Object.keys(log.args).reduce((args, key) => Object.assign(args, {
+        [key]: log.args[key].toString(10),
+      }), {}),
+    })),
+};
+
+module.exports = utils;
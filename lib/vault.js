@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const BN = require('bn.js');
+
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KDF_DIGEST = 'sha512';
+const KDF_ITERATIONS = 100000;
+
+const entryKey = (pollID, voter) => `${pollID.toString(10)}:${voter.toLowerCase()}`;
+
+const deriveKey = (password, salt, iterations) => (
+  crypto.pbkdf2Sync(password, salt, iterations, 32, KDF_DIGEST)
+);
+
+const encrypt = (entries, password) => {
+  const kdfSalt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(password, kdfSalt, KDF_ITERATIONS), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+  return {
+    version: VERSION,
+    kdf: { digest: KDF_DIGEST, iterations: KDF_ITERATIONS, salt: kdfSalt.toString('hex') },
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+  };
+};
+
+const decrypt = (encrypted, password) => {
+  if (encrypted.version !== VERSION) {
+    throw new Error(`Unsupported vault version: ${encrypted.version}`);
+  }
+  const key = deriveKey(password, Buffer.from(encrypted.kdf.salt, 'hex'), encrypted.kdf.iterations);
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+
+  try {
+    return JSON.parse(Buffer.concat([
+      decipher.update(Buffer.from(encrypted.ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf8'));
+  } catch (err) {
+    throw new Error('Could not decrypt vault: wrong password or corrupted data');
+  }
+};
+
+/**
+ * @typedef {Object} VaultEntry
+ * @property {string} pollID
+ * @property {string} voter       lowercased address
+ * @property {string} voteOption  '1' to support, '0' to oppose
+ * @property {string} salt
+ * @property {string} numTokens
+ * @property {boolean} revealed
+ * @property {boolean} [claimed]   set by the Keeper once the voter reward was claimed
+ */
+
+/**
+ * Password-encrypted store of the (voteOption, salt) pairs voters commit to, keyed by pollID and
+ * voter. Losing a salt makes a vote impossible to reveal and its rewards impossible to claim, so
+ * the vault is written to disk after every change.
+ */
+class Vault {
+  /**
+   * @param {Object} options
+   * @param {string} options.password
+   * @param {string} [options.path]  file to persist the vault in; kept in memory only if omitted
+   */
+  constructor({ password, path }) {
+    if (!password) {
+      throw new Error('A vault requires a password');
+    }
+    this.password = password;
+    this.path = path;
+    this.entries = {};
+
+    if (path && fs.existsSync(path)) {
+      this.entries = decrypt(JSON.parse(fs.readFileSync(path, 'utf8')), password);
+    }
+  }
+
+  /**
+   * Returns a random 256 bit salt as a base 10 string.
+   */
+  static generateSalt() {
+    return new BN(crypto.randomBytes(32)).toString(10);
+  }
+
+  /**
+   * Stores a committed vote, replacing any previous commit of the voter in that poll.
+   * @returns {VaultEntry}
+   */
+  put({
+    pollID, voter, voteOption, salt, numTokens,
+  }) {
+    const entry = {
+      pollID: pollID.toString(10),
+      voter: voter.toLowerCase(),
+      voteOption: voteOption.toString(10),
+      salt: salt.toString(10),
+      numTokens: numTokens.toString(10),
+      revealed: false,
+    };
+    this.entries[entryKey(pollID, voter)] = entry;
+    this.save();
+    return entry;
+  }
+
+  /**
+   * @returns {VaultEntry|undefined}
+   */
+  get(pollID, voter) {
+    return this.entries[entryKey(pollID, voter)];
+  }
+
+  /**
+   * Returns every stored entry, optionally only those of one voter.
+   * @returns {Array<VaultEntry>}
+   */
+  list(voter) {
+    const entries = Object.keys(this.entries).map(key => this.entries[key]);
+    return voter ? entries.filter(entry => entry.voter === voter.toLowerCase()) : entries;
+  }
+
+  update(pollID, voter, changes) {
+    const entry = this.get(pollID, voter);
+    if (!entry) {
+      throw new Error(`No vote stored for poll ${pollID} and voter ${voter}`);
+    }
+    Object.assign(entry, changes);
+    this.save();
+    return entry;
+  }
+
+  remove(pollID, voter) {
+    delete this.entries[entryKey(pollID, voter)];
+    this.save();
+  }
+
+  /**
+   * Encrypts every entry with a password, e.g. to back them up or move them to another machine.
+   * @param {string} [password] defaults to the vault's password
+   * @returns {string} JSON
+   */
+  export(password = this.password) {
+    return JSON.stringify(encrypt(this.entries, password));
+  }
+
+  /**
+   * Merges entries from export(). Stored entries win unless overwrite is set.
+   * @returns {number} the number of imported entries
+   */
+  import(exported, password = this.password, { overwrite = false } = {}) {
+    const entries = decrypt(JSON.parse(exported), password);
+    const imported = Object.keys(entries).filter(key => overwrite || !this.entries[key]);
+    imported.forEach((key) => { this.entries[key] = entries[key]; });
+    this.save();
+    return imported.length;
+  }
+
+  save() {
+    if (this.path) {
+      const tmp = `${this.path}.tmp`;
+      fs.writeFileSync(tmp, this.export(), { mode: 0o600 });
+      fs.renameSync(tmp, this.path);
+    }
+  }
+}
+
+module.exports = Vault;
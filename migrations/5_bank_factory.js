@@ -0,0 +1,16 @@
+/* global artifacts */
+
+const Bank = artifacts.require('./Bank.sol');
+const BankFactory = artifacts.require('./BankFactory.sol');
+const ParameterizerFactory = artifacts.require('./ParameterizerFactory.sol');
+
+module.exports = deployer => (
+  // deploy the canonical Bank that every registry's Bank proxy delegates to
+  deployer.deploy(Bank).then(async (bank) => {
+    // share the ProxyFactory of the Parameterizer and Registry proxies
+    const parameterizerFactory = await ParameterizerFactory.deployed();
+    const proxyFactory = await parameterizerFactory.proxyFactory.call();
+
+    return deployer.deploy(BankFactory, proxyFactory, bank.address);
+  })
+);
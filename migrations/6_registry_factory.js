@@ -5,6 +5,7 @@ const Registry = artifacts.require('./Registry.sol');
 const DLL = artifacts.require('dll/DLL.sol');
 const AttributeStore = artifacts.require('attrstore/AttributeStore.sol');
 const ParameterizerFactory = artifacts.require('./ParameterizerFactory.sol');
+const BankFactory = artifacts.require('./BankFactory.sol');
 
 module.exports = (deployer) => {
   // link libraries
@@ -18,6 +19,11 @@ module.exports = (deployer) => {
     deployer.link(DLL, RegistryFactory);
     deployer.link(AttributeStore, RegistryFactory);
 
-    return deployer.deploy(RegistryFactory, ParameterizerFactory.address, registry.address);
+    return deployer.deploy(
+      RegistryFactory,
+      ParameterizerFactory.address,
+      registry.address,
+      BankFactory.address,
+    );
   });
 };
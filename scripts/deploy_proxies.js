@@ -8,6 +8,7 @@ const Token = artifacts.require('EIP20.sol');
 
 const config = JSON.parse(fs.readFileSync('../conf/config.json'));
 const paramConfig = config.paramDefaults;
+const bankConfig = config.bankDefaults;
 
 module.exports = (done) => {
   async function deployProxies(networkID) {
@@ -29,6 +30,9 @@ module.exports = (done) => {
     /* eslint-enable no-console */
 
     const registryFactory = await RegistryFactory.at(registryFactoryAddress);
+    const bankReserve =
+      new BN(config.token.supply).mul(config.token.bankReservePct).div('100').floor();
+    const holderSupply = new BN(config.token.supply).sub(bankReserve);
     const registryReceipt = await registryFactory.newRegistryWithToken(
       config.token.supply,
       config.token.name,
@@ -47,8 +51,27 @@ module.exports = (done) => {
         paramConfig.pDispensationPct,
         paramConfig.voteQuorum,
         paramConfig.pVoteQuorum,
+        paramConfig.minorityParticipationPct,
+        paramConfig.emissionParameter,
+        paramConfig.resolverBountyPct,
+        paramConfig.challengerInflationPct,
+        paramConfig.listingOwnerInflationPct,
+        paramConfig.dataUpdateStageLength,
+        paramConfig.exitTimeDelay,
+        paramConfig.exitPeriodLength,
+        paramConfig.appealWindowLength,
+        paramConfig.appealStakeMultiplier,
+        paramConfig.appealCommitStageLength,
+        paramConfig.appealRevealStageLength,
       ],
       config.name,
+      [
+        bankConfig.epochDuration,
+        bankConfig.inflationClaimPeriod,
+        bankConfig.emissionSchedule,
+        bankConfig.emissionAmount,
+      ],
+      bankReserve.toString(10),
     );
 
     const {
@@ -56,6 +79,7 @@ module.exports = (done) => {
       plcr,
       parameterizer,
       registry,
+      bank,
     } = registryReceipt.logs[0].args;
 
     const registryProxy = await Registry.at(registry);
@@ -73,11 +97,14 @@ module.exports = (done) => {
     console.log(`     ${parameterizer}`);
     console.log(`${registryName} (Registry):`);
     console.log(`     ${registry}`);
+    console.log('Bank:');
+    console.log(`     ${bank}`);
+    console.log(`     reserve: ${bankReserve.toString(10)} tokens (${config.token.bankReservePct}% of the supply)`);
     console.log('');
 
     const evenTokenDispensation =
-      new BN(config.token.supply).div(config.token.tokenHolders.length).toString();
-    console.log(`Dispensing ${config.token.supply} tokens evenly to ${config.token.tokenHolders.length} addresses:`);
+      holderSupply.div(config.token.tokenHolders.length).floor().toString(10);
+    console.log(`Dispensing ${holderSupply.toString(10)} tokens evenly to ${config.token.tokenHolders.length} addresses:`);
     console.log('');
 
     await Promise.all(config.token.tokenHolders.map(async (account) => {
@@ -0,0 +1,72 @@
+/* global artifacts web3 */
+const fs = require('fs');
+const path = require('path');
+
+const Client = require('../lib/client');
+const Indexer = require('../lib/indexer');
+const Keeper = require('../lib/keeper');
+const Vault = require('../lib/vault');
+const cli = require('../lib/cli');
+
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../conf/config.json')));
+
+const contracts = {
+  Registry: artifacts.require('Registry.sol'),
+  Parameterizer: artifacts.require('Parameterizer.sol'),
+  PLCRVoting: artifacts.require('PLCRVoting.sol'),
+  Bank: artifacts.require('Bank.sol'),
+  EIP20: artifacts.require('EIP20.sol'),
+};
+
+// web3 requires callback syntax. silly!
+const promisify = fn => new Promise((resolve, reject) => fn((err, result) => (
+  err ? reject(err) : resolve(result)
+)));
+
+module.exports = (done) => {
+  // e.g. `truffle exec scripts/keeper.js --vault ./votes.vault --from-block 1000 --network rinkeby`
+  const scriptIndex = process.argv.findIndex(arg => arg.endsWith('keeper.js'));
+  const { options } = cli.parseArgs(process.argv.slice(scriptIndex + 1));
+
+  async function keeper() {
+    const networkID = await promisify(cb => web3.version.getNetwork(cb));
+    const accounts = await promisify(cb => web3.eth.getAccounts(cb));
+
+    const registries = config.registries || {};
+    const registry = options.registry || process.env.REGISTRY || registries[networkID];
+    if (!registry) {
+      throw new Error(`No registry configured for network_id ${networkID}. Use --registry or conf/config.json registries.`);
+    }
+    const vaultPath = options.vault || process.env.PM_TCR_VAULT;
+    if (!vaultPath) {
+      throw new Error('No vault configured. Use --vault and set PM_TCR_VAULT_PASSWORD.');
+    }
+
+    const account = options.account || '0';
+    const from = /^\d+$/.test(account) ? accounts[parseInt(account, 10)] : account;
+
+    const vault = new Vault({ path: vaultPath, password: process.env.PM_TCR_VAULT_PASSWORD });
+    const client = await Client.at(registry, contracts, { from }, { vault });
+    const indexer = new Indexer({
+      provider: web3.currentProvider,
+      registry,
+      fromBlock: parseInt(options['from-block'] || '0', 10),
+      store: options.index ? new Indexer.FileStore(options.index) : undefined,
+    });
+
+    const daemon = new Keeper({ client, indexer });
+    /* eslint-disable no-console */
+    daemon.on('transaction', sent => console.log(`Sent ${JSON.stringify(sent)}`));
+    daemon.on('failure', err => console.log(`Keeper failure: ${err.message}${err.details ? ` ${JSON.stringify(err.details)}` : ''}`));
+    console.log(`Keeping votes of ${from} on registry ${registry}`);
+    /* eslint-enable no-console */
+
+    daemon.start(parseInt(options.interval || '60000', 10));
+    process.on('SIGINT', () => {
+      daemon.stop();
+      done();
+    });
+  }
+
+  keeper().catch(err => done(err)); // truffle exec exits if an error gets returned
+};
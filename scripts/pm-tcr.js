@@ -0,0 +1,63 @@
+/* global artifacts web3 */
+const fs = require('fs');
+const path = require('path');
+
+const Client = require('../lib/client');
+const Vault = require('../lib/vault');
+const cli = require('../lib/cli');
+
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../conf/config.json')));
+
+const contracts = {
+  Registry: artifacts.require('Registry.sol'),
+  Parameterizer: artifacts.require('Parameterizer.sol'),
+  PLCRVoting: artifacts.require('PLCRVoting.sol'),
+  Bank: artifacts.require('Bank.sol'),
+  EIP20: artifacts.require('EIP20.sol'),
+};
+
+// web3 requires callback syntax. silly!
+const promisify = fn => new Promise((resolve, reject) => fn((err, result) => (
+  err ? reject(err) : resolve(result)
+)));
+
+module.exports = (done) => {
+  // arguments following this script, e.g. `truffle exec scripts/pm-tcr.js apply consensys.net 100`
+  const scriptIndex = process.argv.findIndex(arg => arg.endsWith('pm-tcr.js'));
+  const { command, args, options } = cli.parseArgs(process.argv.slice(scriptIndex + 1));
+
+  async function pmTcr() {
+    if (!command || options.help) {
+      return cli.usage();
+    }
+
+    const networkID = await promisify(cb => web3.version.getNetwork(cb));
+    const accounts = await promisify(cb => web3.eth.getAccounts(cb));
+
+    const registries = config.registries || {};
+    const registry = options.registry || process.env.REGISTRY || registries[networkID];
+    if (!registry) {
+      throw new Error(`No registry configured for network_id ${networkID}. Use --registry or conf/config.json registries.`);
+    }
+
+    const account = options.account || '0';
+    const from = /^\d+$/.test(account) ? accounts[parseInt(account, 10)] : account;
+
+    const vaultPath = options.vault || process.env.PM_TCR_VAULT;
+    const vault = vaultPath ?
+      new Vault({ path: vaultPath, password: process.env.PM_TCR_VAULT_PASSWORD }) :
+      undefined;
+
+    const client = await Client.at(registry, contracts, { from }, { vault });
+    return cli.format(await cli.run(client, command, args));
+  }
+
+  /* eslint-disable no-console */
+  pmTcr()
+    .then((output) => {
+      console.log(output);
+      done();
+    })
+    .catch(err => done(err)); // truffle exec exits if an error gets returned
+  /* eslint-enable no-console */
+};
@@ -0,0 +1,43 @@
+const HttpProvider = require('ethjs-provider-http');
+
+const Indexer = require('../lib/indexer');
+const { createServer } = require('../lib/server');
+
+const {
+  RPC_URL = 'http://localhost:8545',
+  REGISTRY,
+  FROM_BLOCK = '0',
+  CONFIRMATIONS = '0',
+  INDEX_FILE = './registry-index.json',
+  PORT = '3000',
+} = process.env;
+
+if (!REGISTRY) {
+  /* eslint-disable no-console */
+  console.log('Set REGISTRY to the address of the Registry to index. Exiting...');
+  /* eslint-enable no-console */
+  process.exit(1);
+}
+
+const indexer = new Indexer({
+  provider: new HttpProvider(RPC_URL),
+  registry: REGISTRY,
+  fromBlock: parseInt(FROM_BLOCK, 10),
+  confirmations: parseInt(CONFIRMATIONS, 10),
+  store: new Indexer.FileStore(INDEX_FILE),
+});
+
+/* eslint-disable no-console */
+indexer.on('error', err => console.log(`Indexer error: ${err.message}`));
+indexer.on('reorg', checkpoint => console.log(`Reorg detected, rewound to ${JSON.stringify(checkpoint)}`));
+
+indexer.init().then(() => {
+  indexer.start();
+  createServer(indexer).listen(parseInt(PORT, 10), () => {
+    console.log(`Serving registry ${REGISTRY} on port ${PORT}`);
+  });
+}).catch((err) => {
+  console.log(`Indexer initialization failed: ${err.message}`);
+  process.exitCode = 1;
+});
+/* eslint-enable no-console */
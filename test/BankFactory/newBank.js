@@ -0,0 +1,51 @@
+/* eslint-env mocha */
+/* global contract assert artifacts */
+
+const EIP20 = artifacts.require('tokens/eip20/EIP20.sol');
+const BankFactory = artifacts.require('./BankFactory.sol');
+const Bank = artifacts.require('./Bank.sol');
+const utils = require('../utils.js');
+
+contract('BankFactory', (accounts) => {
+  describe('Function: newBank', () => {
+    const [creator, owner] = accounts;
+
+    let bankFactory;
+    let token;
+
+    before(async () => {
+      bankFactory = await BankFactory.deployed();
+      token = await EIP20.new('1000', 'TEST', '2', 'TST');
+    });
+
+    it('should deploy and initialize a new Bank proxy', async () => {
+      const bankReceipt = await bankFactory.newBank(token.address, owner, ['604800', '4', '2', '100'], { from: creator });
+      const { bank } = bankReceipt.logs[0].args;
+      const bankInstance = Bank.at(bank);
+
+      assert.notStrictEqual(bank, await bankFactory.canonizedBank.call(), 'the bank should be a proxy of the canonical bank');
+      assert.strictEqual(bankReceipt.logs[0].args.creator, creator, 'the creator emitted in the NewBank event is incorrect');
+      assert.strictEqual(await bankInstance.token.call(), token.address, 'the bank\'s token is incorrect');
+      assert.strictEqual(await bankInstance.owner.call(), owner, 'the bank\'s owner is incorrect');
+      assert.strictEqual((await bankInstance.EPOCH_DURATION.call()).toString(10), '604800', 'the bank\'s epoch duration is incorrect');
+      assert.strictEqual((await bankInstance.INFLATION_CLAIM_PERIOD.call()).toString(10), '4', 'the bank\'s inflation claim period is incorrect');
+      assert.strictEqual((await bankInstance.EMISSION_SCHEDULE.call()).toString(10), '2', 'the bank\'s emission schedule is incorrect');
+      assert.strictEqual((await bankInstance.EMISSION_AMOUNT.call()).toString(10), '100', 'the bank\'s emission amount is incorrect');
+      assert.strictEqual((await bankInstance.getCurrentEpochNumber.call()).toString(10), '0', 'the bank should start at epoch 0');
+    });
+
+    it('should not allow a Bank proxy to be initialized twice', async () => {
+      const bankReceipt = await bankFactory.newBank(token.address, owner, ['604800', '4', '2', '100'], { from: creator });
+      const bankInstance = Bank.at(bankReceipt.logs[0].args.bank);
+
+      try {
+        await utils.as(creator, bankInstance.init, token.address, creator, ['1', '1', '0', '1']);
+      } catch (err) {
+        assert(utils.isEVMException(err), err.toString());
+        assert.strictEqual(await bankInstance.owner.call(), owner, 'the bank\'s owner should not have changed');
+        return;
+      }
+      assert(false, 'a bank was initialized twice');
+    });
+  });
+});
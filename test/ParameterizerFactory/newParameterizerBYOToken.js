@@ -46,6 +46,18 @@ contract('ParameterizerFactory', (accounts) => {
         paramConfig.pDispensationPct,
         paramConfig.voteQuorum,
         paramConfig.pVoteQuorum,
+        paramConfig.minorityParticipationPct,
+        paramConfig.emissionParameter,
+        paramConfig.resolverBountyPct,
+        paramConfig.challengerInflationPct,
+        paramConfig.listingOwnerInflationPct,
+        paramConfig.dataUpdateStageLength,
+        paramConfig.exitTimeDelay,
+        paramConfig.exitPeriodLength,
+        paramConfig.appealWindowLength,
+        paramConfig.appealStakeMultiplier,
+        paramConfig.appealCommitStageLength,
+        paramConfig.appealRevealStageLength,
       ];
       const parameterizerReceipt = await parameterizerFactory
         .newParameterizerBYOToken(token.address, parameters, { from: accounts[0] });
@@ -38,6 +38,18 @@ contract('ParameterizerFactory', (accounts) => {
         paramConfig.pDispensationPct,
         paramConfig.voteQuorum,
         paramConfig.pVoteQuorum,
+        paramConfig.minorityParticipationPct,
+        paramConfig.emissionParameter,
+        paramConfig.resolverBountyPct,
+        paramConfig.challengerInflationPct,
+        paramConfig.listingOwnerInflationPct,
+        paramConfig.dataUpdateStageLength,
+        paramConfig.exitTimeDelay,
+        paramConfig.exitPeriodLength,
+        paramConfig.appealWindowLength,
+        paramConfig.appealStakeMultiplier,
+        paramConfig.appealCommitStageLength,
+        paramConfig.appealRevealStageLength,
       ];
       const parameterizerReceipt = await parameterizerFactory.newParameterizerWithToken(
         tokenParams.supply,
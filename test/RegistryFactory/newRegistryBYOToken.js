@@ -4,6 +4,7 @@
 const EIP20 = artifacts.require('tokens/eip20/EIP20.sol');
 const RegistryFactory = artifacts.require('./RegistryFactory.sol');
 const Registry = artifacts.require('./Registry.sol');
+const Bank = artifacts.require('./Bank.sol');
 const fs = require('fs');
 
 const config = JSON.parse(fs.readFileSync('./conf/config.json'));
@@ -46,13 +47,29 @@ contract('RegistryFactory', (accounts) => {
         paramConfig.pDispensationPct,
         paramConfig.voteQuorum,
         paramConfig.pVoteQuorum,
+        paramConfig.minorityParticipationPct,
+        paramConfig.emissionParameter,
+        paramConfig.resolverBountyPct,
+        paramConfig.challengerInflationPct,
+        paramConfig.listingOwnerInflationPct,
+        paramConfig.dataUpdateStageLength,
+        paramConfig.exitTimeDelay,
+        paramConfig.exitPeriodLength,
+        paramConfig.appealWindowLength,
+        paramConfig.appealStakeMultiplier,
+        paramConfig.appealCommitStageLength,
+        paramConfig.appealRevealStageLength,
       ];
+      // weekly epochs claimable for 4 epochs, releasing 100 tokens per epoch, halved every
+      // emissionParameter epochs
+      const bankParameters = ['604800', '4', '2', '100'];
 
       // new registry using factory/proxy
       const registryReceipt = await registryFactory.newRegistryBYOToken(
         token.address,
         parameters,
         'NEW TCR',
+        bankParameters,
         { from: accounts[0] },
       );
       const { creator } = registryReceipt.logs[0].args;
@@ -72,6 +89,42 @@ contract('RegistryFactory', (accounts) => {
         'NEW TCR',
         'the registry\'s name is incorrect',
       );
+      // verify: bank's owner, epoch duration and inflation denominator
+      const bank = Bank.at(await registry.bank.call());
+      assert.strictEqual(
+        bank.address,
+        registryReceipt.logs[0].args.bank,
+        'the bank attached to the Registry contract does not correspond to the one emitted in the newRegistry event',
+      );
+      assert.strictEqual(
+        await bank.owner.call(),
+        registry.address,
+        'the bank should be owned by the registry',
+      );
+      assert.strictEqual(
+        (await bank.EPOCH_DURATION.call()).toString(10),
+        bankParameters[0],
+        'the bank\'s epoch duration is incorrect',
+      );
+      assert.strictEqual(
+        (await bank.INFLATION_CLAIM_PERIOD.call()).toString(10),
+        bankParameters[1],
+        'the bank\'s inflation claim period is incorrect',
+      );
+      assert.deepEqual(
+        [
+          (await bank.EMISSION_SCHEDULE.call()).toString(10),
+          (await bank.EMISSION_AMOUNT.call()).toString(10),
+        ],
+        bankParameters.slice(2, 4),
+        'the bank\'s emission schedule is incorrect',
+      );
+      // verify: bank's parameters governed through the parameterizer
+      assert.deepEqual(
+        (await bank.getParameters.call('0')).map(value => value.toString(10)),
+        parameters.slice(13, 17).map(value => value.toString(10)),
+        'the bank\'s governed parameters are incorrect',
+      );
       // verify: registry's creator
       assert.strictEqual(creator, accounts[0], 'the creator emitted in the newRegistry event ' +
         'not correspond to the one which sent the creation transaction');
@@ -4,7 +4,9 @@
 const EIP20 = artifacts.require('tokens/eip20/EIP20.sol');
 const RegistryFactory = artifacts.require('./RegistryFactory.sol');
 const Registry = artifacts.require('./Registry.sol');
+const Bank = artifacts.require('./Bank.sol');
 const fs = require('fs');
+const utils = require('../utils.js');
 
 const config = JSON.parse(fs.readFileSync('./conf/config.json'));
 const paramConfig = config.paramDefaults;
@@ -13,6 +15,34 @@ contract('RegistryFactory', (accounts) => {
   describe('Function: newRegistryWithToken', () => {
     let registryFactory;
 
+    // new parameterizer using factory/proxy
+    const parameters = [
+      paramConfig.minDeposit,
+      paramConfig.pMinDeposit,
+      paramConfig.applyStageLength,
+      paramConfig.pApplyStageLength,
+      paramConfig.commitStageLength,
+      paramConfig.pCommitStageLength,
+      paramConfig.revealStageLength,
+      paramConfig.pRevealStageLength,
+      paramConfig.dispensationPct,
+      paramConfig.pDispensationPct,
+      paramConfig.voteQuorum,
+      paramConfig.pVoteQuorum,
+      paramConfig.minorityParticipationPct,
+      paramConfig.emissionParameter,
+      paramConfig.resolverBountyPct,
+      paramConfig.challengerInflationPct,
+      paramConfig.listingOwnerInflationPct,
+      paramConfig.dataUpdateStageLength,
+      paramConfig.exitTimeDelay,
+      paramConfig.exitPeriodLength,
+      paramConfig.appealWindowLength,
+      paramConfig.appealStakeMultiplier,
+      paramConfig.appealCommitStageLength,
+      paramConfig.appealRevealStageLength,
+    ];
+
     before(async () => {
       registryFactory = await RegistryFactory.deployed();
     });
@@ -25,21 +55,11 @@ contract('RegistryFactory', (accounts) => {
         symbol: 'TST',
       };
 
-      // new parameterizer using factory/proxy
-      const parameters = [
-        paramConfig.minDeposit,
-        paramConfig.pMinDeposit,
-        paramConfig.applyStageLength,
-        paramConfig.pApplyStageLength,
-        paramConfig.commitStageLength,
-        paramConfig.pCommitStageLength,
-        paramConfig.revealStageLength,
-        paramConfig.pRevealStageLength,
-        paramConfig.dispensationPct,
-        paramConfig.pDispensationPct,
-        paramConfig.voteQuorum,
-        paramConfig.pVoteQuorum,
-      ];
+      // weekly epochs claimable for 4 epochs, releasing 100 tokens per epoch, halved every
+      // emissionParameter epochs
+      const bankParameters = ['604800', '4', '2', '100'];
+      // 40% of the supply is held in reserve by the bank
+      const bankReserve = '400';
 
       // new registry using factory/proxy
       const registryReceipt = await registryFactory.newRegistryWithToken(
@@ -49,6 +69,8 @@ contract('RegistryFactory', (accounts) => {
         tokenParams.symbol,
         parameters,
         'NEW TCR',
+        bankParameters,
+        bankReserve,
         { from: accounts[0] },
       );
       const { creator } = registryReceipt.logs[0].args;
@@ -69,9 +91,69 @@ contract('RegistryFactory', (accounts) => {
         'NEW TCR',
         'the registry\'s name is incorrect',
       );
+      // verify: bank's owner, epoch duration and inflation denominator
+      const bank = Bank.at(await registry.bank.call());
+      assert.strictEqual(
+        bank.address,
+        registryReceipt.logs[0].args.bank,
+        'the bank attached to the Registry contract does not correspond to the one emitted in the newRegistry event',
+      );
+      assert.strictEqual(
+        await bank.owner.call(),
+        registry.address,
+        'the bank should be owned by the registry',
+      );
+      assert.strictEqual(
+        (await bank.EPOCH_DURATION.call()).toString(10),
+        bankParameters[0],
+        'the bank\'s epoch duration is incorrect',
+      );
+      assert.strictEqual(
+        (await bank.INFLATION_CLAIM_PERIOD.call()).toString(10),
+        bankParameters[1],
+        'the bank\'s inflation claim period is incorrect',
+      );
+      assert.deepEqual(
+        [
+          (await bank.EMISSION_SCHEDULE.call()).toString(10),
+          (await bank.EMISSION_AMOUNT.call()).toString(10),
+        ],
+        bankParameters.slice(2, 4),
+        'the bank\'s emission schedule is incorrect',
+      );
+      // verify: bank's parameters governed through the parameterizer
+      assert.deepEqual(
+        (await bank.getParameters.call('0')).map(value => value.toString(10)),
+        parameters.slice(13, 17).map(value => value.toString(10)),
+        'the bank\'s governed parameters are incorrect',
+      );
+      // verify: bank's reserve and creator's balance
+      assert.strictEqual(
+        (await registryToken.balanceOf.call(bank.address)).toString(10),
+        bankReserve,
+        'the bank should hold the reserve',
+      );
+      assert.strictEqual(
+        (await registryToken.balanceOf.call(accounts[0])).toString(10),
+        '600',
+        'the creator should hold the rest of the supply',
+      );
       // verify: registry's creator
       assert.strictEqual(creator, accounts[0], 'the creator emitted in the newRegistry event ' +
         'not correspond to the one which sent the creation transaction');
     });
+
+    it('should not deploy a Registry whose bank reserve exceeds the supply', async () => {
+      try {
+        await registryFactory.newRegistryWithToken(
+          '1000', 'TEST', '2', 'TST', parameters, 'NEW TCR', ['604800', '4', '2', '100'], '1001',
+          { from: accounts[0] },
+        );
+      } catch (err) {
+        assert(utils.isEVMException(err), err.toString());
+        return;
+      }
+      assert(false, 'a registry was deployed with a bank reserve greater than the supply');
+    });
   });
 });
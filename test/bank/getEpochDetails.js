@@ -108,13 +108,13 @@ contract('Bank', (accounts) => {
       const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
 
       await utils.increaseTime(epochDuration);
-      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      const receipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID);
 
       const aliceInflationReward =
         await bank.getEpochInflationVoterRewards(epochNumber, voterAlice);
 
-      const aliceExpectedInflation =
-        aliceStartingBalance.add(aliceVoterReward).add(aliceInflationReward);
+      const aliceExpectedInflation = aliceStartingBalance.add(aliceVoterReward)
+        .add(aliceInflationReward).add(utils.getResolverBounty(receipt));
       const aliceFinalBalanceInflation = await token.balanceOf.call(voterAlice);
 
       assert.strictEqual(
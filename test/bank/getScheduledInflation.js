@@ -0,0 +1,134 @@
+/* eslint-env mocha */
+/* global assert contract artifacts */
+const fs = require('fs');
+
+const EIP20 = artifacts.require('tokens/eip20/EIP20.sol');
+const BankFactory = artifacts.require('./BankFactory.sol');
+const Bank = artifacts.require('./Bank.sol');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const bankConfig = config.bankDefaults;
+
+const utils = require('../utils.js');
+
+const FIXED = '0';
+const GEOMETRIC_DECAY = '1';
+const HALVING = '2';
+const LINEAR_VESTING = '3';
+
+contract('Bank', (accounts) => {
+  describe('Function: getScheduledInflation', () => {
+    const [owner] = accounts;
+
+    let bankFactory;
+    let token;
+
+    before(async () => {
+      bankFactory = await BankFactory.deployed();
+      token = await EIP20.new('1000000', 'TEST', '2', 'TST');
+    });
+
+    const newBank = async (schedule, amount, parameter) => {
+      const receipt = await bankFactory.newBank(token.address, owner, ['604800', '4', schedule, amount]);
+      const bank = Bank.at(receipt.logs[0].args.bank);
+      await bank.setParameters([parameter, '0', '0', '0'], { from: owner });
+      return bank;
+    };
+
+    const assertSchedule = async (bank, expected, schedule) => {
+      const epochNumbers = Object.keys(expected);
+      const inflations = await Promise.all(epochNumbers.map(epochNumber => (
+        bank.getScheduledInflation.call(epochNumber)
+      )));
+      epochNumbers.forEach((epochNumber, i) => {
+        assert.strictEqual(
+          inflations[i].toString(10), expected[epochNumber],
+          `the ${schedule} schedule released the wrong inflation in epoch ${epochNumber}`,
+        );
+      });
+    };
+
+    it('should release a fixed amount every epoch', async () => {
+      const bank = await newBank(FIXED, '1000', '0');
+      await assertSchedule(bank, { 0: '1000', 1: '1000', 50: '1000' }, 'fixed');
+    });
+
+    it('should decay the emission geometrically', async () => {
+      // 10% less every epoch
+      const bank = await newBank(GEOMETRIC_DECAY, '1000000', '10');
+      await assertSchedule(bank, {
+        0: '1000000', 1: '900000', 2: '810000', 3: '729000', 7: '478296',
+      }, 'geometric decay');
+    });
+
+    it('should continue the geometric decay from the epoch a new emission parameter applies from', async () => {
+      // 10% less every epoch, then half as much from epoch 1
+      const bank = await newBank(GEOMETRIC_DECAY, '1000000', '10');
+      await bank.setParameters(['2', '0', '0', '0'], { from: owner });
+      await assertSchedule(bank, {
+        0: '1000000', 1: '900000', 2: '450000', 3: '225000',
+      }, 'geometric decay');
+
+      // an update replacing the pending one decays from the same emission
+      await bank.setParameters(['4', '0', '0', '0'], { from: owner });
+      await assertSchedule(bank, {
+        0: '1000000', 1: '900000', 2: '675000', 3: '506250',
+      }, 'geometric decay');
+    });
+
+    it('should halve the emission every period', async () => {
+      const bank = await newBank(HALVING, '1000', '4');
+      await assertSchedule(bank, {
+        0: '1000', 3: '1000', 4: '500', 8: '250', 1200: '0',
+      }, 'halving');
+    });
+
+    it('should vest the emission linearly to zero', async () => {
+      const bank = await newBank(LINEAR_VESTING, '1000', '4');
+      await assertSchedule(bank, {
+        0: '1000', 1: '750', 3: '250', 4: '0', 10: '0',
+      }, 'linear vesting');
+    });
+
+    it('should not initialize an unknown schedule or a schedule without a parameter', async () => {
+      await utils.expectRevert(
+        bankFactory.newBank(token.address, owner, ['604800', '4', '4', '1000']),
+        'should not have created a bank with an unknown schedule',
+      );
+      await utils.expectRevert(
+        newBank(HALVING, '1000', '0'),
+        'should not have set a halving period of zero',
+      );
+    });
+  });
+
+  describe('Function: getEpochInflation', () => {
+    it('should use the configured emission schedule and epoch duration', async () => {
+      const { bankInstance } = await utils.getProxies();
+
+      assert.strictEqual(
+        (await bankInstance.EPOCH_DURATION.call()).toString(10), bankConfig.epochDuration.toString(10),
+        'the epoch duration should have been set from the config',
+      );
+      assert.strictEqual(
+        (await bankInstance.getEpochInflation.call('0')).toString(10), bankConfig.emissionAmount,
+        'epoch 0 should release the configured emission amount',
+      );
+    });
+
+    it('should cap the inflation of an epoch at the reserve', async () => {
+      const [owner] = accounts;
+      const bankFactory = await BankFactory.deployed();
+      const token = await EIP20.new('1000000', 'TEST', '2', 'TST');
+      const receipt = await bankFactory.newBank(token.address, owner, ['604800', '4', FIXED, '1000']);
+      const bank = Bank.at(receipt.logs[0].args.bank);
+      await bank.setParameters(['0', '0', '0', '0'], { from: owner });
+
+      await token.transfer(bank.address, '400');
+      assert.strictEqual(
+        (await bank.getEpochInflation.call('0')).toString(10), '400',
+        'the epoch inflation should not exceed the reserve',
+      );
+    });
+  });
+});
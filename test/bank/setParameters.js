@@ -0,0 +1,70 @@
+/* eslint-env mocha */
+/* global assert contract artifacts */
+const EIP20 = artifacts.require('tokens/eip20/EIP20.sol');
+const BankFactory = artifacts.require('./BankFactory.sol');
+const Bank = artifacts.require('./Bank.sol');
+
+const utils = require('../utils.js');
+
+const HALVING = '2';
+const EPOCH_DURATION = 604800;
+
+contract('Bank', (accounts) => {
+  describe('Function: setParameters', () => {
+    const [owner, other] = accounts;
+
+    let bank;
+
+    beforeEach(async () => {
+      const bankFactory = await BankFactory.deployed();
+      const token = await EIP20.new('1000000', 'TEST', '2', 'TST');
+      const receipt = await bankFactory.newBank(token.address, owner, [EPOCH_DURATION.toString(10), '4', HALVING, '1000']);
+      bank = Bank.at(receipt.logs[0].args.bank);
+    });
+
+    const getParameters = async epochNumber => (
+      (await bank.getParameters.call(epochNumber)).map(value => value.toString(10))
+    );
+
+    it('should apply the first parameters from epoch 0 and updates from the next epoch', async () => {
+      await bank.setParameters(['4', '1', '10', '10'], { from: owner });
+      assert.deepEqual(await getParameters('0'), ['4', '1', '10', '10'], 'the first parameters should apply from epoch 0');
+
+      await bank.setParameters(['8', '2', '20', '20'], { from: owner });
+      assert.deepEqual(await getParameters('0'), ['4', '1', '10', '10'], 'the current epoch should keep its parameters');
+      assert.deepEqual(await getParameters('1'), ['8', '2', '20', '20'], 'the update should apply from the next epoch');
+      assert.strictEqual(
+        (await bank.getScheduledInflation.call('4')).toString(10), '1000',
+        'the updated halving period should apply to later epochs',
+      );
+
+      // a second update during the same epoch replaces the pending one
+      await bank.setParameters(['8', '3', '20', '20'], { from: owner });
+      assert.deepEqual(await getParameters('5'), ['8', '3', '20', '20'], 'the pending update should have been replaced');
+
+      await utils.increaseTime(EPOCH_DURATION);
+      await bank.setParameters(['8', '3', '30', '30'], { from: owner });
+      assert.deepEqual(await getParameters('1'), ['8', '3', '20', '20'], 'epoch 1 should keep the parameters it started with');
+      assert.deepEqual(await getParameters('2'), ['8', '3', '30', '30'], 'the update should apply from epoch 2');
+    });
+
+    it('should only accept valid parameters from the owner', async () => {
+      await utils.expectRevert(
+        bank.setParameters(['4', '1', '10', '10'], { from: other }),
+        'should not have accepted parameters from another account',
+      );
+      await utils.expectRevert(
+        bank.setParameters(['4', '101', '10', '10'], { from: owner }),
+        'should not have accepted a resolver bounty above 100%',
+      );
+      await utils.expectRevert(
+        bank.setParameters(['4', '1', '60', '41'], { from: owner }),
+        'should not have accepted stakeholder inflation above 100%',
+      );
+      await utils.expectRevert(
+        bank.getParameters.call('0'),
+        'should not have returned parameters before any were set',
+      );
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/* eslint-env mocha */
+/* global assert contract artifacts */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const Client = require('../../lib/client');
+const cli = require('../../lib/cli');
+const utils = require('../utils.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const contracts = {
+  Registry: artifacts.require('Registry.sol'),
+  Parameterizer: artifacts.require('Parameterizer.sol'),
+  PLCRVoting: artifacts.require('PLCRVoting.sol'),
+  Bank: artifacts.require('Bank.sol'),
+  EIP20: artifacts.require('EIP20.sol'),
+};
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('CLI', (accounts) => {
+  describe('Function: run', () => {
+    const [applicant, challenger] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit).toString(10);
+
+    let applicantClient;
+    let challengerClient;
+
+    beforeEach(async () => {
+      const { registryProxy, tokenInstance } = await utils.getProxies();
+      applicantClient = await Client.at(registryProxy.address, contracts, { from: applicant });
+      challengerClient = await Client.at(registryProxy.address, contracts, { from: challenger });
+
+      await tokenInstance.transfer(challenger, 1000000000000000);
+      await cli.run(applicantClient, 'approve', ['1000000000000000']);
+      await cli.run(challengerClient, 'approve', ['1000000000000000']);
+    });
+
+    it('should apply with a listing name and print the decoded events', async () => {
+      const result = await cli.run(applicantClient, 'apply', ['cli.net', minDeposit, 'data']);
+      const output = cli.format(result);
+
+      assert.include(output, `Transaction ${result.tx}`, 'output should reference the transaction');
+      assert.include(output, '  _Application', 'output should list the emitted event');
+      assert.include(output, `    listingHash: ${utils.getListingHash('cli.net')}`, 'output should list the event args');
+      assert.include(output, '    data: data', 'output should list the event args');
+    });
+
+    it('should print the status of a challenged listing', async () => {
+      await cli.run(applicantClient, 'apply', ['clistatus.net', minDeposit]);
+      const { challengeID } = await cli.run(challengerClient, 'challenge', ['clistatus.net']);
+
+      const output = cli.format(await cli.run(applicantClient, 'status', ['clistatus.net']));
+      assert.include(output, 'status: ApplicationChallenged', 'status should print the listing status');
+      assert.include(output, `owner: ${applicant}`, 'status should print the listing owner');
+      assert.include(output, `challengeID: ${challengeID}`, 'status should print the challengeID');
+      assert.include(output, 'challenge:\n  rewardPool:', 'status should print the challenge');
+      assert.include(output, `  challenger: ${challenger}`, 'status should print the challenger');
+    });
+
+    it('should print the listings and history of an empty registry', async () => {
+      const listings = await cli.run(applicantClient, 'listings', []);
+      assert.deepEqual(listings, [], 'the registry should have no listings');
+      assert.strictEqual(cli.format(listings), 'none', 'listings should print none');
+      assert.strictEqual(cli.format(await cli.run(applicantClient, 'listings', ['applications'])), 'none', 'applications should print none');
+      assert.strictEqual(cli.format(await cli.run(applicantClient, 'history', ['empty.net'])), 'none', 'history should print none');
+    });
+
+    it('should reject unknown commands and missing arguments', async () => {
+      try {
+        await cli.run(applicantClient, 'unknown', []);
+        assert(false, 'should have rejected an unknown command');
+      } catch (err) {
+        assert.include(err.message, 'Unknown command: unknown', 'should have named the unknown command');
+      }
+
+      try {
+        await cli.run(applicantClient, 'apply', ['cli.net']);
+        assert(false, 'should have rejected missing arguments');
+      } catch (err) {
+        assert.include(err.message, 'Usage: pm-tcr apply <listing> <amount> [data]', 'should have printed the usage');
+      }
+    });
+  });
+
+  describe('Function: parseArgs', () => {
+    it('should split the command, its arguments and options', async () => {
+      const { command, args, options } = cli.parseArgs(['apply', 'cli.net', '100', '--registry', '0x1234', '--help']);
+      assert.strictEqual(command, 'apply', 'should have parsed the command');
+      assert.deepEqual(args, ['cli.net', '100'], 'should have parsed the arguments');
+      assert.deepEqual(options, { registry: '0x1234', help: true }, 'should have parsed the options');
+    });
+  });
+});
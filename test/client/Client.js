@@ -0,0 +1,168 @@
+/* eslint-env mocha */
+/* global assert contract artifacts */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const Client = require('../../lib/client');
+const Vault = require('../../lib/vault');
+const utils = require('../utils.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const contracts = {
+  Registry: artifacts.require('Registry.sol'),
+  Parameterizer: artifacts.require('Parameterizer.sol'),
+  PLCRVoting: artifacts.require('PLCRVoting.sol'),
+  Bank: artifacts.require('Bank.sol'),
+  EIP20: artifacts.require('EIP20.sol'),
+};
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Client', (accounts) => {
+  describe('JavaScript client', () => {
+    const [applicant, challenger, voterAlice, proposer] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let registry;
+    let client;
+
+    beforeEach(async () => {
+      const {
+        registryProxy, tokenInstance,
+      } = await utils.getProxies();
+      registry = registryProxy;
+      token = tokenInstance;
+
+      client = await Client.at(registry.address, contracts);
+      await Promise.all([applicant, challenger, voterAlice, proposer].map(async (user) => {
+        await token.transfer(user, 1000000000000000);
+        await client.approveAll(1000000000000000, { from: user });
+      }));
+    });
+
+    it('should resolve every contract consumed by the registry', async () => {
+      assert.strictEqual(client.token.address, token.address, 'token was not resolved');
+      assert.strictEqual(client.voting.address, await registry.voting.call(), 'voting was not resolved');
+      assert.strictEqual(client.parameterizer.address, await registry.parameterizer.call(), 'parameterizer was not resolved');
+      assert.strictEqual(client.bank.address, await registry.bank.call(), 'bank was not resolved');
+    });
+
+    it('should apply and whitelist a listing', async () => {
+      const listing = utils.getListingHash('client.net');
+
+      await client.apply(listing, minDeposit, 'data', { from: applicant });
+      assert.deepEqual(await client.getApplications(), [listing], 'the application should have been indexed');
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await client.updateStatus(listing, { from: applicant });
+      assert.deepEqual(await client.getApplications(), [], 'the application should have left the index');
+      assert.deepEqual(await client.getWhitelistedListings(1), [listing], 'the listing should have been indexed');
+
+      const { whitelisted, owner, unstakedDeposit } = await client.getListing(listing);
+      assert.strictEqual(whitelisted, true, 'listing should have been whitelisted');
+      assert.strictEqual(owner, applicant, 'listing owner should be the applicant');
+      assert.strictEqual(unstakedDeposit.toString(10), minDeposit.toString(10), 'listing should hold its deposit');
+    });
+
+    it('should challenge, commit, reveal and claim a voter reward', async () => {
+      const listing = utils.getListingHash('clientchallenge.net');
+
+      await client.apply(listing, minDeposit, '', { from: applicant });
+      const { challengeID } = await client.challenge(listing, '', { from: challenger });
+
+      await client.commitVote(challengeID, '1', '500', '420', { from: voterAlice });
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await client.revealVote(challengeID, '1', '420', { from: voterAlice });
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      await client.updateStatus(listing, { from: applicant });
+
+      const { resolved, listingHash } = await client.getChallenge(challengeID);
+      assert.strictEqual(resolved, true, 'challenge should have been resolved');
+      assert.strictEqual(listingHash, listing, 'challenge should reference its listing');
+      assert.deepEqual(
+        (await client.getListingChallenges(listing)).map(id => id.toString(10)), [challengeID.toString(10)],
+        'the listing\'s challenge history should hold the challenge',
+      );
+
+      const aliceStartingBalance = await client.balanceOf(voterAlice);
+      const reward = await client.voterReward(voterAlice, challengeID, '420');
+      await client.claimReward(challengeID, '420', { from: voterAlice });
+
+      const aliceFinalBalance = await client.balanceOf(voterAlice);
+      assert.strictEqual(
+        aliceFinalBalance.toString(10), aliceStartingBalance.add(reward).toString(10),
+        'alice should have received her voter reward',
+      );
+    });
+
+    it('should commit, reveal and claim with the salt stored in a vault', async () => {
+      const listing = utils.getListingHash('clientvault.net');
+      const vaultClient = await Client.at(
+        registry.address, contracts, { from: voterAlice },
+        { vault: new Vault({ password: 'password' }) },
+      );
+
+      await client.apply(listing, minDeposit, '', { from: applicant });
+      const { challengeID } = await client.challenge(listing, '', { from: challenger });
+
+      const { salt } = await vaultClient.commitVote(challengeID, '1', '500');
+      const stored = vaultClient.vault.get(challengeID, voterAlice);
+      assert.strictEqual(stored.salt, salt, 'the generated salt should have been stored');
+      assert.strictEqual(stored.voteOption, '1', 'the voteOption should have been stored');
+
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await vaultClient.revealVote(challengeID);
+      assert.strictEqual(vaultClient.vault.get(challengeID, voterAlice).revealed, true, 'the vote should be marked revealed');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      await client.updateStatus(listing, { from: applicant });
+
+      const aliceStartingBalance = await client.balanceOf(voterAlice);
+      const reward = await vaultClient.voterReward(voterAlice, challengeID);
+      await vaultClient.claimReward(challengeID);
+
+      const aliceFinalBalance = await client.balanceOf(voterAlice);
+      assert.strictEqual(
+        aliceFinalBalance.toString(10), aliceStartingBalance.add(reward).toString(10),
+        'alice should have received her voter reward',
+      );
+    });
+
+    it('should discover and claim the unclaimed inflation epochs of a voter', async () => {
+      const listing = utils.getListingHash('clientinflation.net');
+
+      await client.apply(listing, minDeposit, '', { from: applicant });
+      const { challengeID } = await client.challenge(listing, '', { from: challenger });
+      await client.commitVote(challengeID, '0', '500', '420', { from: voterAlice });
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await client.revealVote(challengeID, '0', '420', { from: voterAlice });
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      await client.updateStatus(listing, { from: applicant });
+      await client.claimReward(challengeID, '420', { from: voterAlice });
+
+      const { epochNumber } = await client.getChallenge(challengeID);
+      assert.deepEqual(await client.getUnclaimedInflationEpochs(voterAlice), [], 'the epoch has not closed yet');
+
+      const epochDuration = (await client.bank.EPOCH_DURATION.call()).toNumber();
+      await utils.increaseTime(epochDuration);
+      assert.deepEqual(await client.getUnclaimedInflationEpochs(voterAlice), [epochNumber.toNumber()], 'should have found the closed epoch');
+      assert.deepEqual(await client.getUnclaimedInflationEpochs(challenger), [], 'the challenger did not vote');
+
+      await client.claimInflationRewardsForEpochs([epochNumber], { from: voterAlice });
+      assert.deepEqual(await client.getUnclaimedInflationEpochs(voterAlice), [], 'the epoch should have been claimed');
+    });
+
+    it('should propose and process a reparameterization', async () => {
+      const { propID } = await client.proposeReparameterization('voteQuorum', '51', { from: proposer });
+      const { value } = await client.getProposal(propID);
+      assert.strictEqual(value.toString(10), '51', 'proposal should have been stored');
+
+      await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+      await client.processProposal(propID, { from: proposer });
+
+      const voteQuorum = await client.get('voteQuorum');
+      assert.strictEqual(voteQuorum.toString(10), '51', 'voteQuorum should have been set');
+    });
+  });
+});
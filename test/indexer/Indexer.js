@@ -0,0 +1,254 @@
+/* eslint-env mocha */
+/* global assert contract artifacts */
+const fs = require('fs');
+const os = require('os');
+const Eth = require('ethjs');
+const HttpProvider = require('ethjs-provider-http');
+const EthRPC = require('ethjs-rpc');
+
+const Indexer = require('../../lib/indexer');
+const utils = require('../utils.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const Registry = artifacts.require('Registry.sol');
+const Parameterizer = artifacts.require('Parameterizer.sol');
+
+const provider = new HttpProvider('http://localhost:7545');
+const ethQuery = new Eth(provider);
+const ethRPC = new EthRPC(provider);
+
+const rpc = (method, params = []) => new Promise((resolve, reject) => (
+  ethRPC.sendAsync({ method, params }, (err, result) => (err ? reject(err) : resolve(result)))
+));
+
+contract('Indexer', (accounts) => {
+  describe('Indexer', () => {
+    const [applicant, challenger, proposer, newOwner, voter] = accounts;
+
+    let token;
+    let voting;
+    let registry;
+    let parameterizer;
+    let minDeposit;
+    let fromBlock;
+
+    const newIndexer = store => new Indexer({
+      provider,
+      registry: registry.address,
+      abis: { Registry: Registry.abi, Parameterizer: Parameterizer.abi },
+      fromBlock,
+      batchSize: 5,
+      store,
+    });
+
+    beforeEach(async () => {
+      fromBlock = (await ethQuery.blockNumber()).toNumber() + 1;
+      const {
+        votingProxy, registryProxy, paramProxy, tokenInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      parameterizer = paramProxy;
+      token = tokenInstance;
+      minDeposit = await parameterizer.get.call('minDeposit');
+
+      await utils.approveProxies(accounts, token, voting, parameterizer, registry);
+    });
+
+    it('should index applications, whitelistings and challenges', async () => {
+      const listed = utils.getListingHash('indexed.net');
+      const challenged = utils.getListingHash('challenged.net');
+
+      await utils.as(applicant, registry.apply, listed, minDeposit, 'listedData');
+      await utils.as(applicant, registry.apply, challenged, minDeposit, 'challengedData');
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listed);
+      const challengeID = await utils.challengeAndGetPollID(challenged, challenger, registry);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const listing = indexer.getListing(listed);
+      assert.strictEqual(listing.status, 'whitelisted', 'listing should have been whitelisted');
+      assert.strictEqual(listing.owner, applicant.toLowerCase(), 'listing should have an owner');
+      assert.strictEqual(listing.data, 'listedData', 'listing should keep its application data');
+
+      assert.strictEqual(indexer.getListing(challenged).status, 'applying', 'application should still be applying');
+      assert.strictEqual(indexer.getListing(challenged).challengeID, challengeID.toString(10), 'application should reference its challenge');
+      assert.strictEqual(indexer.isChallenged(challenged), true, 'application should be challenged');
+      assert.strictEqual(indexer.isChallenged(listed), false, 'listing should not be challenged');
+
+      const challenge = indexer.getChallenge(challengeID);
+      assert.strictEqual(challenge.kind, 'listing', 'challenge should be a listing challenge');
+      assert.strictEqual(challenge.challenger, challenger.toLowerCase(), 'challenge should have a challenger');
+      assert.strictEqual(challenge.stake, minDeposit.toString(10), 'challenge should have the stake of _ChallengeStake');
+      assert.strictEqual(challenge.resolved, false, 'challenge should not be resolved');
+
+      assert.deepEqual(indexer.getListings('whitelisted').map(l => l.listingHash), [listed], 'should filter listings by status');
+    });
+
+    it('should follow listing ownership transfers', async () => {
+      const listing = utils.getListingHash('transferred.net');
+      await utils.as(applicant, registry.apply, listing, minDeposit, '');
+      await utils.as(applicant, registry.transferListingOwnership, listing, newOwner);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.strictEqual(indexer.getListing(listing).pendingOwner, newOwner.toLowerCase(), 'the transfer should be pending');
+
+      await utils.as(newOwner, registry.acceptListingOwnership, listing);
+      await indexer.sync();
+      assert.strictEqual(indexer.getListing(listing).owner, newOwner.toLowerCase(), 'the new owner should own the listing');
+      assert.strictEqual(indexer.getListing(listing).pendingOwner, null, 'the transfer should no longer be pending');
+    });
+
+    it('should follow listing data updates through their challenge window', async () => {
+      const listing = utils.getListingHash('updated.net');
+      await utils.as(applicant, registry.apply, listing, minDeposit, 'firstData');
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+      await utils.as(applicant, registry.updateListingData, listing, 'secondData');
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      assert.strictEqual(indexer.getListing(listing).data, 'firstData', 'the data should not change during the window');
+      assert.strictEqual(indexer.getListing(listing).pendingData, 'secondData', 'the update should be pending');
+
+      await utils.increaseTime(paramConfig.dataUpdateStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+      await indexer.sync();
+      assert.strictEqual(indexer.getListing(listing).data, 'secondData', 'the update should have been applied');
+      assert.strictEqual(indexer.getListing(listing).pendingData, null, 'the update should no longer be pending');
+    });
+
+    it('should index appeals and the challenges they overturned', async () => {
+      const listing = utils.getListingHash('appealed.net');
+      const propID = await utils.proposeReparamAndGetPropID('appealWindowLen', '600', proposer, parameterizer);
+      await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+      await parameterizer.processProposal(propID);
+      await utils.addToWhitelist(listing, minDeposit, applicant, registry);
+
+      // nobody votes on the challenge, so its owner appeals and wins the appeal's vote
+      const challengeID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.increaseTime(paramConfig.commitStageLength + paramConfig.revealStageLength + 1);
+      const receipt = await utils.as(applicant, registry.appeal, listing);
+      const appealID = utils.getReceiptValue(receipt, 'appealID', '_Appeal');
+      await utils.commitVote(appealID, '1', '500', '420', voter, voting);
+      await utils.increaseTime(paramConfig.appealCommitStageLength + 1);
+      await utils.as(voter, voting.revealVote, appealID, '1', '420');
+      await utils.increaseTime(paramConfig.appealRevealStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const appeal = indexer.getChallenge(appealID);
+      assert.strictEqual(appeal.kind, 'appeal', 'appeal should be an appeal');
+      assert.strictEqual(appeal.appealOf, challengeID.toString(10), 'appeal should reference the challenge');
+      assert.strictEqual(appeal.challenger, applicant.toLowerCase(), 'appeal should have the owner as appellant');
+      assert.strictEqual(appeal.resolved, true, 'appeal should be resolved');
+      assert.strictEqual(appeal.succeeded, false, 'appeal should have defended the listing');
+
+      const challenge = indexer.getChallenge(challengeID);
+      assert.strictEqual(challenge.appealID, appealID.toString(10), 'challenge should reference its appeal');
+      assert.strictEqual(challenge.overturned, true, 'challenge should have been overturned');
+      assert.strictEqual(challenge.succeeded, false, 'challenge should have failed');
+      assert.deepEqual(
+        indexer.getListing(listing).challenges, [challengeID.toString(10), appealID.toString(10)],
+        'listing should list the appeal after the challenge',
+      );
+      assert.strictEqual(indexer.getListing(listing).status, 'whitelisted', 'listing should still be whitelisted');
+    });
+
+    it('should index reparameterization proposals', async () => {
+      const propID = await utils.proposeReparamAndGetPropID('voteQuorum', '51', proposer, parameterizer);
+      await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+      await parameterizer.processProposal(propID);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const proposal = indexer.getProposal(propID);
+      assert.strictEqual(proposal.name, 'voteQuorum', 'proposal should have a name');
+      assert.strictEqual(proposal.value, '51', 'proposal should have a value');
+      assert.strictEqual(proposal.status, 'accepted', 'proposal should have been accepted');
+    });
+
+    it('should resume from its last checkpoint', async () => {
+      const store = new Indexer.MemoryStore();
+      await utils.as(applicant, registry.apply, utils.getListingHash('first.net'), minDeposit, '');
+
+      const first = newIndexer(store);
+      const { blockNumber } = await first.sync();
+      const saved = await store.load();
+      assert.strictEqual(saved.checkpoint.blockNumber, blockNumber, 'checkpoint should have been saved');
+
+      await utils.as(applicant, registry.apply, utils.getListingHash('second.net'), minDeposit, '');
+
+      const second = newIndexer(store);
+      await second.init();
+      assert.strictEqual(second.getListings().length, 1, 'stored events should have been replayed');
+
+      await second.sync();
+      assert.strictEqual(second.getListings().length, 2, 'new events should have been indexed');
+      assert.strictEqual(
+        (await store.load()).events.length, saved.events.length + 1,
+        'events should not have been indexed twice',
+      );
+    });
+
+    it('should append each batch of events to its file store', async () => {
+      const path = `${os.tmpdir()}/registry-index-${registry.address}.json`;
+      await utils.as(applicant, registry.apply, utils.getListingHash('filed.net'), minDeposit, '');
+
+      const first = newIndexer(new Indexer.FileStore(path));
+      const { blockNumber } = await first.sync();
+      const saved = JSON.parse(fs.readFileSync(path, 'utf8'));
+      assert.strictEqual(saved.checkpoint.blockNumber, blockNumber, 'checkpoint should have been saved');
+      assert.strictEqual(saved.events, undefined, 'events should not have been saved with the checkpoints');
+      const lines = fs.readFileSync(`${path}.events`, 'utf8').split('\n').filter(line => line);
+      assert.strictEqual(lines.length, first.data.events.length, 'every event should have been appended');
+
+      await utils.as(applicant, registry.apply, utils.getListingHash('filed2.net'), minDeposit, '');
+      const second = newIndexer(new Indexer.FileStore(path));
+      await second.sync();
+      assert.strictEqual(second.getListings().length, 2, 'stored and new events should have been indexed');
+      assert.strictEqual(
+        fs.readFileSync(`${path}.events`, 'utf8').split('\n').filter(line => line).length, lines.length + 1,
+        'the new event should have been appended once',
+      );
+
+      fs.unlinkSync(path);
+      fs.unlinkSync(`${path}.events`);
+    });
+
+    it('should roll back events from reorganized blocks', async () => {
+      const kept = utils.getListingHash('kept.net');
+      const orphaned = utils.getListingHash('orphaned.net');
+      const replacement = utils.getListingHash('replacement.net');
+      const indexer = newIndexer();
+
+      await utils.as(applicant, registry.apply, kept, minDeposit, '');
+      await indexer.sync();
+
+      const snapshotID = await rpc('evm_snapshot');
+      await utils.as(applicant, registry.apply, orphaned, minDeposit, '');
+      await indexer.sync();
+      assert.isDefined(indexer.getListing(orphaned), 'orphaned listing should have been indexed');
+
+      let reorged = false;
+      indexer.on('reorg', () => { reorged = true; });
+
+      await rpc('evm_revert', [snapshotID]);
+      await utils.as(applicant, registry.apply, replacement, minDeposit, '');
+      await indexer.sync();
+
+      assert.strictEqual(reorged, true, 'indexer should have detected the reorg');
+      assert.isDefined(indexer.getListing(kept), 'listing from before the fork should have been kept');
+      assert.isUndefined(indexer.getListing(orphaned), 'orphaned listing should have been dropped');
+      assert.isDefined(indexer.getListing(replacement), 'listing from the new chain should have been indexed');
+    });
+  });
+});
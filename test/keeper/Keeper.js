@@ -0,0 +1,151 @@
+/* eslint-env mocha */
+/* global assert contract artifacts web3 */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const Client = require('../../lib/client');
+const Indexer = require('../../lib/indexer');
+const Keeper = require('../../lib/keeper');
+const Vault = require('../../lib/vault');
+const utils = require('../utils.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const contracts = {
+  Registry: artifacts.require('Registry.sol'),
+  Parameterizer: artifacts.require('Parameterizer.sol'),
+  PLCRVoting: artifacts.require('PLCRVoting.sol'),
+  Bank: artifacts.require('Bank.sol'),
+  EIP20: artifacts.require('EIP20.sol'),
+};
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Keeper', (accounts) => {
+  describe('Function: tick', () => {
+    const [applicant, challenger, voterAlice, proposer] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let client;
+    let keeper;
+    let errors;
+
+    beforeEach(async () => {
+      const fromBlock = web3.eth.blockNumber + 1;
+      const { registryProxy, tokenInstance } = await utils.getProxies();
+
+      client = await Client.at(
+        registryProxy.address, contracts, { from: voterAlice },
+        { vault: new Vault({ password: 'password' }) },
+      );
+      await Promise.all([applicant, challenger, voterAlice, proposer].map(async (user) => {
+        await tokenInstance.transfer(user, 1000000000000000);
+        await client.approveAll(1000000000000000, { from: user });
+      }));
+
+      const indexer = new Indexer({
+        provider: web3.currentProvider,
+        registry: registryProxy.address,
+        abis: { Registry: contracts.Registry.abi, Parameterizer: contracts.Parameterizer.abi },
+        fromBlock,
+      });
+      keeper = new Keeper({ client, indexer });
+      errors = [];
+      keeper.on('failure', err => errors.push(err));
+    });
+
+    it('should reveal, resolve and claim voter and inflation rewards', async () => {
+      const listing = utils.getListingHash('keeper.net');
+      await client.apply(listing, minDeposit, '', { from: applicant });
+      const { challengeID } = await client.challenge(listing, '', { from: challenger });
+      await client.commitVote(challengeID, '0', '500');
+
+      assert.deepEqual(await keeper.tick(), [], 'should not act during the commit period');
+
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      const revealed = await keeper.tick();
+      assert.deepEqual(revealed.map(sent => sent.action), ['revealVote'], 'should have revealed the stored vote');
+      assert.strictEqual(await client.didReveal(voterAlice, challengeID), true, 'the vote should have been revealed');
+
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      const resolved = await keeper.tick();
+      assert.deepEqual(resolved.map(sent => sent.action), ['updateStatus'], 'should have resolved the challenge');
+
+      const claimed = await keeper.tick();
+      assert.deepEqual(claimed.map(sent => sent.action), ['claimReward'], 'should have claimed the voter reward');
+      assert.strictEqual(await client.tokenClaims(challengeID, voterAlice), true, 'the reward should have been claimed');
+
+      assert.deepEqual(await keeper.tick(), [], 'should not claim inflation before the epoch closes');
+
+      const epochDuration = (await client.bank.EPOCH_DURATION.call()).toNumber();
+      await utils.increaseTime(epochDuration);
+      const inflation = await keeper.tick();
+      assert.deepEqual(
+        inflation.map(sent => sent.action), ['resolveEpoch', 'claimInflationRewards'],
+        'should have resolved the epoch and claimed the inflation rewards',
+      );
+
+      assert.deepEqual(await keeper.tick(), [], 'should not resolve or claim an epoch twice');
+      assert.deepEqual(errors, [], 'no transaction should have failed');
+    });
+
+    it('should claim inflation rewards one epoch at a time if the batch reverts', async () => {
+      const listing = utils.getListingHash('keeperbatch.net');
+      await client.apply(listing, minDeposit, '', { from: applicant });
+      const { challengeID } = await client.challenge(listing, '', { from: challenger });
+      await client.commitVote(challengeID, '0', '500');
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await keeper.tick();
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      await keeper.tick();
+      await keeper.tick();
+
+      const epochDuration = (await client.bank.EPOCH_DURATION.call()).toNumber();
+      await utils.increaseTime(epochDuration);
+      // the current epoch is not closed yet, so claiming it reverts
+      const currentEpoch = await client.getCurrentEpochNumber();
+      const getUnclaimedInflationEpochs = client.getUnclaimedInflationEpochs.bind(client);
+      client.getUnclaimedInflationEpochs = async voter => (
+        (await getUnclaimedInflationEpochs(voter)).concat([currentEpoch.toNumber()])
+      );
+
+      const inflation = await keeper.tick();
+      const [claimed] = inflation.filter(sent => sent.action === 'claimInflationRewards');
+      const epochNumber = await utils.getChallengeEpochNumber(client.registry, challengeID);
+      assert.deepEqual(
+        claimed.epochNumbers, [epochNumber.toString(10)],
+        'should have claimed the closed epoch on its own',
+      );
+      assert.strictEqual(await client.inflationClaimed(epochNumber, voterAlice), true, 'the epoch should have been claimed');
+      assert.deepEqual(
+        await getUnclaimedInflationEpochs(voterAlice), [],
+        'the epoch should not be claimable again',
+      );
+      assert.deepEqual(
+        errors.map(err => err.details.epochNumbers),
+        [[epochNumber, currentEpoch].map(number => number.toString(10)), [currentEpoch.toString(10)]],
+        'the batch and the open epoch should have failed',
+      );
+    });
+
+    it('should keep ticking without a failure listener', async () => {
+      const quiet = new Keeper({ client, indexer: keeper.indexer });
+      // the current epoch is not closed yet, so resolving it reverts
+      const currentEpoch = await client.getCurrentEpochNumber();
+      client.getUnresolvedEpochs = async () => [currentEpoch];
+
+      assert.deepEqual(await quiet.tick(), [], 'the failed transaction should not have been returned');
+    });
+
+    it('should process proposals that can be set', async () => {
+      const { propID } = await client.proposeReparameterization('voteQuorum', '51', { from: proposer });
+      assert.deepEqual(await keeper.tick(), [], 'should not process a proposal in its apply stage');
+
+      await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+      const processed = await keeper.tick();
+      assert.deepEqual(processed.map(sent => sent.propID), [propID], 'should have processed the proposal');
+      assert.strictEqual((await client.get('voteQuorum')).toString(10), '51', 'voteQuorum should have been set');
+    });
+  });
+});
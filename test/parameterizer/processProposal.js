@@ -187,6 +187,83 @@ contract('Parameterizer', (accounts) => {
       }
       assert(false, 'proposal was processed without a challenge and before appExpiry and processBy date');
     });
+
+    describe('Bank parameters', () => {
+      let bank;
+
+      beforeEach(async () => {
+        const { paramProxy, tokenInstance, bankInstance } = await utils.getProxies();
+        parameterizer = paramProxy;
+        token = tokenInstance;
+        bank = bankInstance;
+
+        await utils.approveProxies(accounts, token, false, parameterizer, false);
+      });
+
+      const getParameters = async epochNumber => (
+        (await bank.getParameters.call(epochNumber)).map(value => value.toString(10))
+      );
+
+      const configuredParameters = [
+        paramConfig.emissionParameter,
+        paramConfig.resolverBountyPct,
+        paramConfig.challengerInflationPct,
+        paramConfig.listingOwnerInflationPct,
+      ].map(value => value.toString(10));
+
+      it('should initialize the bank with the parameterizer\'s values from epoch 0', async () => {
+        assert.deepEqual(
+          await getParameters('0'), configuredParameters,
+          'the bank should have been initialized with the parameterizer\'s values',
+        );
+      });
+
+      it('should apply an accepted reparameterization from the next epoch', async () => {
+        const propID = await utils.proposeReparamAndGetPropID('resolverBountyPct', '5', proposer, parameterizer);
+        await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+
+        const currentEpoch = await bank.getCurrentEpochNumber.call();
+        const nextEpoch = currentEpoch.add(1);
+        const receipt = await parameterizer.processProposal(propID);
+        const [updated] = receipt.logs.filter(log => log.event === '_BankParametersUpdated');
+        assert.strictEqual(updated.args.fromEpoch.toString(10), nextEpoch.toString(10), 'the event should have emitted the next epoch');
+
+        assert.deepEqual(
+          await getParameters(currentEpoch), configuredParameters,
+          'the current epoch should keep its parameters',
+        );
+        const [, resolverBountyPct] = await getParameters(nextEpoch);
+        assert.strictEqual(resolverBountyPct, '5', 'the new resolver bounty should apply from the next epoch');
+      });
+
+      it('should not update the bank when another parameter is accepted', async () => {
+        const propID = await utils.proposeReparamAndGetPropID('voteQuorum', '51', proposer, parameterizer);
+        await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+
+        const receipt = await parameterizer.processProposal(propID);
+        const updates = receipt.logs.filter(log => log.event === '_BankParametersUpdated');
+        assert.strictEqual(updates.length, 0, 'the bank should not have been updated');
+      });
+
+      it('should expire a proposal conflicting with one accepted since it was made', async () => {
+        const challengerValue = (100 - paramConfig.listingOwnerInflationPct).toString(10);
+        const listingOwnerValue = (paramConfig.listingOwnerInflationPct + 1).toString(10);
+        const challengerPropID =
+          await utils.proposeReparamAndGetPropID('challengerInflationPct', challengerValue, proposer, parameterizer);
+        const listingOwnerPropID =
+          await utils.proposeReparamAndGetPropID('listingOwnerInflationPct', listingOwnerValue, proposer, parameterizer);
+        await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+
+        await parameterizer.processProposal(challengerPropID);
+        const receipt = await parameterizer.processProposal(listingOwnerPropID);
+        assert.strictEqual(receipt.logs[0].event, '_ProposalExpired', 'the conflicting proposal should have expired');
+
+        const nextEpoch = (await bank.getCurrentEpochNumber.call()).add(1);
+        const [, , challengerPct, listingOwnerPct] = await getParameters(nextEpoch);
+        assert.strictEqual(challengerPct, challengerValue, 'the first proposal should have been applied');
+        assert.strictEqual(listingOwnerPct, paramConfig.listingOwnerInflationPct.toString(10), 'the conflicting proposal should not have been applied');
+      });
+    });
   });
 });
 
@@ -69,6 +69,32 @@ contract('Parameterizer', (accounts) => {
       assert(false, 'One of the bad proposals was accepted');
     });
 
+    it('should revert on proposals for minorityParticipationPct with values greater than 100', async () => {
+      await utils.expectRevert(
+        utils.as(proposer, parameterizer.proposeReparameterization, 'minorityParticipationPct', '101'),
+        'a minorityParticipationPct greater than 100 was proposed',
+      );
+    });
+
+    it('should revert on proposals for an appealStakeMultiplier of zero', async () => {
+      await utils.expectRevert(
+        utils.as(proposer, parameterizer.proposeReparameterization, 'appealStakeMultiplier', '0'),
+        'an appealStakeMultiplier of zero was proposed',
+      );
+    });
+
+    it('should revert on proposals that would let stakeholders share more than the inflation', async () => {
+      const value = (100 - paramConfig.listingOwnerInflationPct) + 1;
+      await utils.expectRevert(
+        utils.as(proposer, parameterizer.proposeReparameterization, 'challengerInflationPct', value.toString(10)),
+        'should not have been able to propose a challengerInflationPct above the listing owners\' remainder',
+      );
+      await utils.expectRevert(
+        utils.as(proposer, parameterizer.proposeReparameterization, 'emissionParameter', '0'),
+        'should not have been able to propose an emissionParameter of zero',
+      );
+    });
+
     it('should add a new reparameterization proposal', async () => {
       const applicantStartingBalance = await token.balanceOf.call(proposer);
 
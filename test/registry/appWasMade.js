@@ -48,7 +48,7 @@ contract('Registry', (accounts) => {
       assert.strictEqual(resultThree, true, 'should have returned true because its whitelisted');
 
       // Exit
-      await utils.as(applicant, registry.exit, listing);
+      await utils.exitListing(listing, applicant, registry);
       const resultFour = await registry.appWasMade(listing);
       assert.strictEqual(resultFour, false, 'should have returned false because exit');
     });
@@ -0,0 +1,225 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: appeal', () => {
+    const [applicant, challenger, voterAlice, voterBob, proposer] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+    const appealWindowLength = 600;
+    const appealStake = minDeposit.mul(paramConfig.appealStakeMultiplier);
+    const rewardPoolOf = stake => stake.mul(100 - paramConfig.dispensationPct).div(100).floor();
+
+    let token;
+    let voting;
+    let parameterizer;
+    let registry;
+    let bank;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, paramProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      parameterizer = paramProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+
+      await utils.approveProxies(accounts, token, voting, parameterizer, registry);
+
+      // appeals are disabled until the appeal window is reparameterized
+      const propID = await utils.proposeReparamAndGetPropID('appealWindowLen', appealWindowLength, proposer, parameterizer);
+      await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+      await parameterizer.processProposal(propID);
+    });
+
+    // alice removes the listing in the challenge's vote
+    const challengeAndRemove = async (listing) => {
+      await utils.addToWhitelist(listing, minDeposit, applicant, registry);
+      const challengeID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.commitVote(challengeID, '0', '500', '420', voterAlice, voting);
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await utils.as(voterAlice, voting.revealVote, challengeID, '0', '420');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      return challengeID;
+    };
+
+    it('should let the losing party appeal and the appeal overturn the challenge', async () => {
+      const listing = utils.getListingHash('overturned.net');
+      const challengeID = await challengeAndRemove(listing);
+
+      assert.strictEqual(await registry.canBeAppealed.call(listing), true, 'the challenge should be appealable');
+      assert.strictEqual(
+        await registry.challengeCanBeResolved.call(listing), false,
+        'the challenge should not be resolvable during its appeal window',
+      );
+      const [status] = await registry.getListingStatus.call(listing);
+      assert.strictEqual(status.toString(10), '7', 'the listing should be Appealable');
+      await utils.expectRevert(
+        utils.as(challenger, registry.appeal, listing),
+        'the challenger should not have been able to appeal a challenge it won',
+      );
+
+      const applicantStartingBalance = await token.balanceOf.call(applicant);
+      const receipt = await utils.as(applicant, registry.appeal, listing);
+      const appealID = utils.getReceiptValue(receipt, 'appealID', '_Appeal');
+      const [appealed] = receipt.logs.filter(log => log.event === '_Appeal');
+      assert.strictEqual(appealed.args.challengeID.toString(10), challengeID.toString(10), 'the event should have emitted the challengeID');
+      assert.strictEqual(appealed.args.stake.toString(10), appealStake.toString(10), 'the event should have emitted the appeal stake');
+      assert.strictEqual(appealed.args.appellant, applicant, 'the event should have emitted the appellant');
+      assert.strictEqual(
+        applicantStartingBalance.sub(await token.balanceOf.call(applicant)).toString(10), appealStake.toString(10),
+        'the appellant should have staked a multiple of the challenge\'s stake',
+      );
+      assert.strictEqual((await registry.appeals.call(challengeID)).toString(10), appealID.toString(10), 'the appeal should have been recorded');
+      assert.deepEqual(
+        (await registry.getListingChallenges.call(listing)).map(id => id.toString(10)),
+        [challengeID.toString(10), appealID.toString(10)],
+        'the appeal should follow the challenge in the listing\'s history',
+      );
+      await utils.expectRevert(
+        utils.as(applicant, registry.appeal, listing),
+        'should not have been able to appeal twice',
+      );
+
+      // bob outvotes alice in the appeal
+      await utils.commitVote(appealID, '1', '1000', '421', voterBob, voting);
+      const [appealStatus, , commitEndDate] = await registry.getListingStatus.call(listing);
+      assert.strictEqual(appealStatus.toString(10), '5', 'the listing should be WhitelistChallenged during the appeal');
+      assert.strictEqual(commitEndDate.toString(10), appealed.args.commitEndDate.toString(10), 'the appeal\'s deadlines should apply');
+      await utils.increaseTime(paramConfig.appealCommitStageLength + 1);
+      await utils.as(voterBob, voting.revealVote, appealID, '1', '421');
+      await utils.increaseTime(paramConfig.appealRevealStageLength + 1);
+
+      const resolution = await utils.as(voterBob, registry.updateStatus, listing);
+      const [resolved] = resolution.logs.filter(log => log.event === '_AppealResolved');
+      assert.strictEqual(resolved.args.overturned, true, 'the appeal should have overturned the challenge');
+      assert.strictEqual(
+        resolution.logs.filter(log => log.event === '_ChallengeFailed').length, 1,
+        'the challenge should have failed',
+      );
+      assert.strictEqual(await registry.isWhitelisted.call(listing), true, 'the listing should have stayed whitelisted');
+
+      // the listing won the whole challenge stake, as the overturned round's voters are not
+      // rewarded, and the remainder of its own appeal stake
+      const appealRewardPool = rewardPoolOf(appealStake);
+      assert.strictEqual(
+        await utils.getUnstakedDeposit(listing, registry),
+        minDeposit.mul(2).add(appealStake.sub(appealRewardPool)).toString(10),
+        'the listing should have won the stakes, minus the appeal\'s reward pool',
+      );
+      const [challengeRewardPool] = await registry.challenges.call(challengeID);
+      assert.strictEqual(challengeRewardPool.toString(10), '0', 'the overturned round should have no reward pool');
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimReward, challengeID, '420'),
+        'alice should not have been able to claim a reward for the overturned vote',
+      );
+
+      // only the appeal's winning tokens count towards the epoch, and the owner's stake includes the appeal's
+      const epochNumber = await utils.getChallengeEpochNumber(registry, challengeID);
+      const [epochTokens] = await bank.getEpochDetails.call(epochNumber);
+      assert.strictEqual(epochTokens.toString(10), '1000', 'the epoch should only have counted bob\'s tokens');
+      const [, listingOwnerStake] = await bank.getEpochStakes.call(epochNumber, applicant);
+      assert.strictEqual(
+        listingOwnerStake.toString(10), minDeposit.add(appealStake).toString(10),
+        'the listing owner\'s stake should include the appeal stake',
+      );
+
+      const bobStartingBalance = await token.balanceOf.call(voterBob);
+      await utils.as(voterBob, registry.claimReward, appealID, '421');
+      assert.strictEqual(
+        (await token.balanceOf.call(voterBob)).sub(bobStartingBalance).toString(10), appealRewardPool.toString(10),
+        'bob should have received the appeal\'s reward pool',
+      );
+    });
+
+    it('should not pay the challenge\'s reward pool twice when an appeal overturns a vote nobody voted on', async () => {
+      const listing = utils.getListingHash('unvoted.net');
+      await utils.addToWhitelist(listing, minDeposit, applicant, registry);
+      await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.increaseTime(paramConfig.commitStageLength + paramConfig.revealStageLength + 1);
+
+      // nobody voted, so the challenge succeeded and the listing's owner appeals
+      const receipt = await utils.as(applicant, registry.appeal, listing);
+      const appealID = utils.getReceiptValue(receipt, 'appealID', '_Appeal');
+      await utils.commitVote(appealID, '1', '1000', '421', voterBob, voting);
+      await utils.increaseTime(paramConfig.appealCommitStageLength + 1);
+      await utils.as(voterBob, voting.revealVote, appealID, '1', '421');
+      await utils.increaseTime(paramConfig.appealRevealStageLength + 1);
+
+      const resolution = await utils.as(voterBob, registry.updateStatus, listing);
+      const [resolved] = resolution.logs.filter(log => log.event === '_AppealResolved');
+      assert.strictEqual(resolved.args.overturned, true, 'the appeal should have overturned the challenge');
+
+      // the listing won both deposits once and the remainder of its own appeal stake
+      const appealRewardPool = rewardPoolOf(appealStake);
+      const unstakedDeposit = await utils.getUnstakedDeposit(listing, registry);
+      assert.strictEqual(
+        unstakedDeposit, minDeposit.mul(2).add(appealStake.sub(appealRewardPool)).toString(10),
+        'the listing should have won the stakes, minus the appeal\'s reward pool',
+      );
+
+      // the registry only holds the listing's deposit and the appeal's reward pool
+      assert.strictEqual(
+        (await token.balanceOf.call(registry.address)).toString(10),
+        bigTen(unstakedDeposit).add(appealRewardPool).toString(10),
+        'the registry\'s balance should cover exactly the deposit and the unclaimed reward pool',
+      );
+      await utils.as(voterBob, registry.claimReward, appealID, '421');
+      assert.strictEqual(
+        (await token.balanceOf.call(registry.address)).toString(10), unstakedDeposit,
+        'the registry\'s balance should cover exactly the deposit once the reward pool was claimed',
+      );
+    });
+
+    it('should let the challenge\'s outcome stand if nobody votes on the appeal', async () => {
+      const listing = utils.getListingHash('upheld.net');
+      await challengeAndRemove(listing);
+      const receipt = await utils.as(applicant, registry.appeal, listing);
+      const appealID = utils.getReceiptValue(receipt, 'appealID', '_Appeal');
+
+      await utils.increaseTime(paramConfig.appealCommitStageLength + 1);
+      assert.strictEqual(
+        await registry.challengeCanBeResolved.call(listing), false,
+        'the challenge should not be resolvable before the appeal\'s vote ended',
+      );
+      await utils.increaseTime(paramConfig.appealRevealStageLength + 1);
+
+      const challengerStartingBalance = await token.balanceOf.call(challenger);
+      const resolution = await utils.as(voterAlice, registry.updateStatus, listing);
+      const [resolved] = resolution.logs.filter(log => log.event === '_AppealResolved');
+      assert.strictEqual(resolved.args.overturned, false, 'the appeal should not have overturned the challenge');
+      assert.strictEqual(await registry.isWhitelisted.call(listing), false, 'the listing should have been removed');
+      assert.strictEqual(
+        (await token.balanceOf.call(challenger)).sub(challengerStartingBalance).toString(10),
+        minDeposit.mul(2).sub(rewardPoolOf(minDeposit)).add(appealStake).toString(10),
+        'the challenger should have won the challenge and the whole appeal stake',
+      );
+      const [, , resolvedAppeal] = await registry.challenges.call(appealID);
+      assert.strictEqual(resolvedAppeal, true, 'the appeal should have been resolved');
+    });
+
+    it('should revert after the appeal window and let the challenge be resolved', async () => {
+      const listing = utils.getListingHash('late.net');
+      await challengeAndRemove(listing);
+      await utils.increaseTime(appealWindowLength + 1);
+
+      assert.strictEqual(await registry.canBeAppealed.call(listing), false, 'the appeal window should have closed');
+      await utils.expectRevert(
+        utils.as(applicant, registry.appeal, listing),
+        'should not have been able to appeal after the appeal window',
+      );
+      await utils.as(challenger, registry.updateStatus, listing);
+      assert.strictEqual(await registry.isWhitelisted.call(listing), false, 'the listing should have been removed');
+    });
+  });
+});
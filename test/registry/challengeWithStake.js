@@ -0,0 +1,111 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: challengeWithStake', () => {
+    const [applicant, challenger, voterAlice] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+    const deposit = minDeposit.mul(10);
+
+    let token;
+    let voting;
+    let registry;
+
+    beforeEach(async () => {
+      const { votingProxy, registryProxy, tokenInstance } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    it('should lock a larger stake from both parties and scale the reward pool with it', async () => {
+      const listing = utils.getListingHash('valuable.net');
+      const stake = minDeposit.mul(3);
+      await utils.addToWhitelist(listing, deposit, applicant, registry);
+
+      const challengerStartingBalance = await token.balanceOf.call(challenger);
+      const receipt = await utils.as(challenger, registry.challengeWithStake, listing, stake, '');
+      const { challengeID } = receipt.logs[0].args;
+      const [staked] = receipt.logs.filter(log => log.event === '_ChallengeStake');
+      assert.strictEqual(staked.args.challengeID.toString(10), challengeID.toString(10), 'the event should have emitted the challengeID');
+      assert.strictEqual(staked.args.stake.toString(10), stake.toString(10), 'the event should have emitted the stake');
+
+      const [rewardPool, , , challengeStake] = await registry.challenges.call(challengeID);
+      assert.strictEqual(challengeStake.toString(10), stake.toString(10), 'the challenge should hold the larger stake');
+      assert.strictEqual(
+        rewardPool.toString(10),
+        stake.mul(100 - paramConfig.dispensationPct).div(100).floor().toString(10),
+        'the reward pool should be the non-dispensed share of the stake',
+      );
+      assert.strictEqual(
+        (await registry.listings.call(listing))[3].toString(10), deposit.sub(stake).toString(10),
+        'the listing should have matched the stake from its unstaked deposit',
+      );
+      assert.strictEqual(
+        challengerStartingBalance.sub(await token.balanceOf.call(challenger)).toString(10), stake.toString(10),
+        'the challenger should have staked the larger stake',
+      );
+
+      // alice defends the listing
+      await utils.commitVote(challengeID, '1', '500', '420', voterAlice, voting);
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await utils.as(voterAlice, voting.revealVote, challengeID, '1', '420');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+
+      assert.strictEqual(
+        (await registry.listings.call(listing))[3].toString(10),
+        deposit.add(stake).sub(rewardPool).toString(10),
+        'the listing should have won back its stake and the dispensed share of the challenger\'s',
+      );
+      assert.strictEqual(
+        (await registry.voterReward.call(voterAlice, challengeID, '420')).toString(10), rewardPool.toString(10),
+        'the only winning voter should be owed the whole reward pool',
+      );
+    });
+
+    it('should cap the stake at the listing\'s unstaked deposit', async () => {
+      const listing = utils.getListingHash('modest.net');
+      const listingDeposit = minDeposit.mul(2);
+      await utils.addToWhitelist(listing, listingDeposit, applicant, registry);
+
+      const challengerStartingBalance = await token.balanceOf.call(challenger);
+      const receipt = await utils.as(challenger, registry.challengeWithStake, listing, minDeposit.mul(5), '');
+      const [, , , challengeStake] = await registry.challenges.call(receipt.logs[0].args.challengeID);
+      assert.strictEqual(challengeStake.toString(10), listingDeposit.toString(10), 'the stake should have been capped');
+      assert.strictEqual(
+        challengerStartingBalance.sub(await token.balanceOf.call(challenger)).toString(10), listingDeposit.toString(10),
+        'the challenger should only have staked the capped stake',
+      );
+
+      // nobody votes, so the challenger wins both stakes
+      await utils.increaseTime(paramConfig.commitStageLength + paramConfig.revealStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+      assert.strictEqual(
+        (await token.balanceOf.call(challenger)).sub(challengerStartingBalance).toString(10), listingDeposit.toString(10),
+        'the challenger should have won the listing\'s matched stake',
+      );
+    });
+
+    it('should revert for stakes below minDeposit', async () => {
+      const listing = utils.getListingHash('cheap.net');
+      await utils.addToWhitelist(listing, deposit, applicant, registry);
+
+      await utils.expectRevert(
+        utils.as(challenger, registry.challengeWithStake, listing, minDeposit.sub(1), ''),
+        'should not have been able to stake less than minDeposit',
+      );
+    });
+  });
+});
@@ -71,15 +71,16 @@ contract('Registry', (accounts) => {
       );
 
       await utils.increaseTime(epochDuration);
-      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      // alice resolves the epoch, earning the resolver bounty
+      const receipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID);
 
       const challenge = await registry.challenges.call(pollID);
       const epochNumber = challenge[6];
       const aliceInflationReward =
         await bank.getEpochInflationVoterRewards(epochNumber, voterAlice);
 
-      const aliceExpectedAfterInflation =
-        aliceStartingBalance.add(aliceVoterReward).add(aliceInflationReward);
+      const aliceExpectedAfterInflation = aliceStartingBalance.add(aliceVoterReward)
+        .add(aliceInflationReward).add(utils.getResolverBounty(receipt));
       const aliceFinalBalanceAfterInflation = await token.balanceOf.call(voterAlice);
 
       assert.strictEqual(
@@ -130,13 +131,13 @@ contract('Registry', (accounts) => {
       const registryBalanceBeforeCIR = await token.balanceOf.call(registry.address);
       // Alice claims inflation rewards
       await utils.increaseTime(epochDuration);
-      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      const receipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID);
 
       const aliceInflationReward =
         await bank.getEpochInflationVoterRewards.call(epochNumber, voterAlice);
 
-      const aliceExpectedAfterInflation =
-        aliceStartingBalance.add(aliceVoterReward).add(aliceInflationReward);
+      const aliceExpectedAfterInflation = aliceStartingBalance.add(aliceVoterReward)
+        .add(aliceInflationReward).add(utils.getResolverBounty(receipt));
       const aliceFinalBalanceAfterInflation = await token.balanceOf.call(voterAlice);
       assert.strictEqual(
         aliceFinalBalanceAfterInflation.toString(10), aliceExpectedAfterInflation.toString(10),
@@ -144,9 +145,10 @@ contract('Registry', (accounts) => {
       );
 
       // since there is only 1 voter, and the voter's inflation rewards get transferred during CIR,
-      // the bank should have the same balance as before
+      // the registry should only have kept the inflation of the challenge's stakeholders
       // transferred from bank -> registry -> voter
-      const expectedRegistryBalanceAfterCIR = registryBalanceBeforeCIR;
+      const expectedRegistryBalanceAfterCIR = registryBalanceBeforeCIR
+        .add(await utils.getStakeInflation(bank, epochNumber));
       const registryBalanceAfterCIR = await token.balanceOf.call(registry.address);
       assert.strictEqual(
         registryBalanceAfterCIR.toString(), expectedRegistryBalanceAfterCIR.toString(),
@@ -154,6 +156,99 @@ contract('Registry', (accounts) => {
       );
     });
 
+    it('should record the claim and revert if a voter claims the same epoch again', async () => {
+      const ali = {
+        address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+      };
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash('claimtwice.net'),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID, ali.salt);
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+
+      await utils.increaseTime(epochDuration);
+      assert.strictEqual(
+        (await bank.getClaimedInflationVoterRewards.call(epochNumber, voterAlice)).toString(10), '0',
+        'alice should not have claimed inflation rewards yet',
+      );
+      assert.strictEqual(await bank.inflationClaimed.call(epochNumber, voterAlice), false, 'alice\'s claim should not be recorded yet');
+      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      assert.strictEqual(await bank.inflationClaimed.call(epochNumber, voterAlice), true, 'alice\'s claim should have been recorded');
+      assert.strictEqual(
+        (await bank.getClaimedInflationVoterRewards.call(epochNumber, voterAlice)).toString(10),
+        (await bank.getEpochInflationVoterRewards.call(epochNumber, voterAlice)).toString(10),
+        'the bank should have recorded alice\'s claim',
+      );
+
+      const aliceBalance = await token.balanceOf.call(voterAlice);
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimInflationRewards, pollID),
+        'alice should not have been able to claim inflation rewards twice',
+      );
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimInflationRewardsForEpochs, [epochNumber]),
+        'alice should not have been able to claim inflation rewards twice in a batch',
+      );
+      assert.strictEqual(
+        (await token.balanceOf.call(voterAlice)).toString(10), aliceBalance.toString(10),
+        'alice should not have received any more inflation rewards',
+      );
+    });
+
+    it('should revert if a voter claims an epoch again through another poll', async () => {
+      const ali = {
+        address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+      };
+      const pollID1 = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash('1crosspoll.net'),
+      });
+      const pollID2 = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash('2crosspoll.net'),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID1, ali.salt);
+      await utils.as(voterAlice, registry.claimReward, pollID2, ali.salt);
+
+      const ep1 = await utils.getChallengeEpochNumber(registry, pollID1);
+      const ep2 = await utils.getChallengeEpochNumber(registry, pollID2);
+      assert.strictEqual(ep1.toString(10), ep2.toString(10), 'should be in the same epoch');
+
+      await utils.increaseTime(epochDuration);
+      const aliceStartingBalance = await token.balanceOf.call(voterAlice);
+      const receipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID1);
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimInflationRewards, pollID2),
+        'alice should not have been able to claim the epoch\'s inflation rewards through another poll',
+      );
+
+      // both polls count towards a single claim of the epoch
+      const aliceEpochVoterTokens = await bank.getEpochVoterTokens.call(ep1, voterAlice);
+      assert.strictEqual(aliceEpochVoterTokens.toString(10), '1000', 'alice should have voter tokens from both polls');
+      const aliceInflationReward = await bank.getEpochInflationVoterRewards.call(ep1, voterAlice);
+      assert.strictEqual(
+        (await token.balanceOf.call(voterAlice)).toString(10),
+        aliceStartingBalance.add(aliceInflationReward).add(utils.getResolverBounty(receipt)).toString(10),
+        'alice should have received the epoch\'s inflation rewards once',
+      );
+    });
+
     it('should transfer the correct amount of tokens to the Registry, multiple voters, for a single epoch', async () => {
       const aliceStartingBalance = await token.balanceOf.call(voterAlice);
       const bobStartingBalance = await token.balanceOf.call(voterAlice);
@@ -208,7 +303,7 @@ contract('Registry', (accounts) => {
       // Claim inflation rewards
       await utils.increaseTime(epochDuration);
       // TODO: assert epochNumber has changed
-      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      const receipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID);
       await utils.as(voterBob, registry.claimInflationRewards, pollID);
       // cat lost, expect revert
       await utils.expectRevert(
@@ -219,13 +314,14 @@ contract('Registry', (accounts) => {
       // TODO: include in owners manual
       // maybe use BN.divRound for absolute precision?
       const regFinalBal = await token.balanceOf.call(registry.address);
-      const expectedRegFinalBal = regStartBal;
+      const expectedRegFinalBal = regStartBal.add(await utils.getStakeInflation(bank, epochNumber));
       utils.assertEqualToOrPlusMinusOne(regFinalBal, expectedRegFinalBal, 'registry');
 
       // Inflation rewards balance checks
       const aliceInflationReward =
         await bank.getEpochInflationVoterRewards.call(epochNumber, voterAlice);
-      const aliceExpected = aliceStartingBalance.add(aliceVoterReward).add(aliceInflationReward);
+      const aliceExpected = aliceStartingBalance.add(aliceVoterReward)
+        .add(aliceInflationReward).add(utils.getResolverBounty(receipt));
       const aliceActual = await token.balanceOf.call(voterAlice);
       // assert.strictEqual(
       //   aliceActual.toString(),
@@ -341,8 +437,8 @@ contract('Registry', (accounts) => {
         utils.as(voterAlice, registry.claimInflationRewards, pollID1),
         'should not have been able to claim inflation rewards as voterCat',
       );
-      await utils.as(voterBob, registry.claimInflationRewards, pollID1);
-      await utils.as(voterCat, registry.claimInflationRewards, pollID2);
+      const bobReceipt = await utils.as(voterBob, registry.claimInflationRewards, pollID1);
+      const catReceipt = await utils.as(voterCat, registry.claimInflationRewards, pollID2);
       await utils.as(voterDog, registry.claimInflationRewards, pollID2);
 
       // Post inflation rewards balances
@@ -352,7 +448,10 @@ contract('Registry', (accounts) => {
       // there's 2 listings in the registry, both with unstakedDeposits (part of registry's balance)
       const li1UD = await utils.getUnstakedDeposit(li1, registry);
       const li2UD = await utils.getUnstakedDeposit(li2, registry);
-      const regExpect = regSB.add(li1UD).add(li2UD);
+      // and the unclaimed inflation of both epochs' stakeholders
+      const regExpect = regSB.add(li1UD).add(li2UD)
+        .add(await utils.getStakeInflation(bank, ep1))
+        .add(await utils.getStakeInflation(bank, ep2));
       const regActual = await token.balanceOf.call(registry.address);
       utils.assertEqualToOrPlusMinusOne(regActual, regExpect, 'registry');
 
@@ -374,13 +473,13 @@ contract('Registry', (accounts) => {
       // bob, cat, and dog all won
       const bobIR =
         await bank.getEpochInflationVoterRewards.call(ep1, voterBob);
-      const bobExpect = bobSB.add(bobVR).add(bobIR);
+      const bobExpect = bobSB.add(bobVR).add(bobIR).add(utils.getResolverBounty(bobReceipt));
       const bobActual = await token.balanceOf.call(voterBob);
       utils.assertEqualToOrPlusMinusOne(bobActual, bobExpect, voterBob);
 
       const catIR =
         await bank.getEpochInflationVoterRewards.call(ep2, voterCat);
-      const catExpect = catSB.add(catVR).add(catIR);
+      const catExpect = catSB.add(catVR).add(catIR).add(utils.getResolverBounty(catReceipt));
       const catActual = await token.balanceOf.call(voterCat);
       utils.assertEqualToOrPlusMinusOne(catActual, catExpect, voterCat);
 
@@ -0,0 +1,100 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: claimInflationRewardsForEpochs', () => {
+    const [applicant, challenger, voterAlice, voterBob] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let voting;
+    let registry;
+    let bank;
+    let epochDuration;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    // alice wins a challenge and claims her voter reward
+    const winChallenge = async (domain, salt) => {
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: {
+          ali: {
+            address: voterAlice, voteOption: '0', numTokens: '500', salt,
+          },
+        },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash(domain),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID, salt);
+      return utils.getChallengeEpochNumber(registry, pollID);
+    };
+
+    it('should claim the inflation rewards of several epochs in one transaction', async () => {
+      const firstEpoch = await winChallenge('firstepoch.net', '420');
+      await utils.increaseTime(epochDuration);
+      const secondEpoch = await winChallenge('secondepoch.net', '421');
+      await utils.increaseTime(epochDuration);
+
+      const aliceStartingBalance = await token.balanceOf.call(voterAlice);
+      const receipt = await utils.as(
+        voterAlice, registry.claimInflationRewardsForEpochs,
+        [firstEpoch, secondEpoch],
+      );
+
+      const claims = receipt.logs.filter(log => log.event === '_InflationRewardsClaimed');
+      assert.deepEqual(
+        claims.map(log => log.args.epochNumber.toString(10)),
+        [firstEpoch.toString(10), secondEpoch.toString(10)],
+        'should have claimed the inflation rewards of both epochs',
+      );
+
+      const firstReward = await bank.getEpochInflationVoterRewards.call(firstEpoch, voterAlice);
+      const secondReward = await bank.getEpochInflationVoterRewards.call(secondEpoch, voterAlice);
+      const aliceFinalBalance = await token.balanceOf.call(voterAlice);
+      assert.strictEqual(
+        aliceFinalBalance.toString(10),
+        aliceStartingBalance.add(firstReward).add(secondReward)
+          .add(utils.getResolverBounty(receipt)).toString(10),
+        'alice should have received the inflation rewards of both epochs',
+      );
+    });
+
+    it('should revert if the voter has no inflation rewards in one of the epochs', async () => {
+      const epochNumber = await winChallenge('onlyepoch.net', '420');
+      await utils.increaseTime(epochDuration);
+
+      await utils.expectRevert(
+        utils.as(voterBob, registry.claimInflationRewardsForEpochs, [epochNumber]),
+        'bob should not have been able to claim inflation rewards',
+      );
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimInflationRewardsForEpochs, [epochNumber, epochNumber.add(1)]),
+        'alice should not have been able to claim inflation rewards of an epoch she did not vote in',
+      );
+    });
+  });
+});
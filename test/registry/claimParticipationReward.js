@@ -0,0 +1,146 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: claimParticipationReward', () => {
+    const [applicant, challenger, voterAlice, voterBob, proposer] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let voting;
+    let parameterizer;
+    let registry;
+    let bank;
+    let epochDuration;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, paramProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      parameterizer = paramProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, parameterizer, registry);
+    });
+
+    const setMinorityParticipationPct = async (value) => {
+      const propID = await utils.proposeReparamAndGetPropID('minorityParticipationPct', value, proposer, parameterizer);
+      await utils.increaseTime(paramConfig.pApplyStageLength + 1);
+      await parameterizer.processProposal(propID);
+    };
+
+    // alice votes for the challenger (majority), bob for the listing (minority)
+    const splitVote = async domain => utils.getToClaiming({
+      applicant,
+      challenger,
+      voters: {
+        ali: {
+          address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+        },
+        bob: {
+          address: voterBob, voteOption: '1', numTokens: '300', salt: '421',
+        },
+      },
+      registry,
+      voting,
+      minDeposit,
+      listingHash: utils.getListingHash(domain),
+    });
+
+    it('should credit the minorityParticipationPct of a minority vote towards the epoch\'s inflation', async () => {
+      await setMinorityParticipationPct('50');
+      const pollID = await splitVote('minority.net');
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+
+      await utils.as(voterAlice, registry.claimReward, pollID, '420');
+      const receipt = await utils.as(voterBob, registry.claimParticipationReward, pollID, '421');
+      const [claimed] = receipt.logs.filter(log => log.event === '_ParticipationRewardClaimed');
+      assert.strictEqual(claimed.args.voter, voterBob, 'the event should have emitted the voter');
+      assert.strictEqual(claimed.args.participationTokens.toString(10), '150', 'the event should have emitted half of bob\'s tokens');
+      assert.strictEqual(await registry.tokenClaims.call(pollID, voterBob), true, 'the claim should have been recorded');
+
+      const [epochTokens] = await bank.getEpochDetails.call(epochNumber);
+      assert.strictEqual(epochTokens.toString(10), '650', 'the epoch should count the majority and participation tokens');
+      assert.strictEqual(
+        (await bank.getEpochVoterTokens.call(epochNumber, voterBob)).toString(10), '150',
+        'bob\'s participation tokens should have been credited',
+      );
+
+      await utils.increaseTime(epochDuration);
+      await utils.as(voterAlice, registry.resolveEpoch, epochNumber);
+      const [, epochInflation] = await bank.getEpochDetails.call(epochNumber);
+      const bobStartingBalance = await token.balanceOf.call(voterBob);
+      await utils.as(voterBob, registry.claimInflationRewards, pollID);
+      assert.strictEqual(
+        (await token.balanceOf.call(voterBob)).toString(10),
+        bobStartingBalance.add(epochInflation.mul(150).div(650).floor()).toString(10),
+        'bob should have received his share of the epoch\'s inflation',
+      );
+    });
+
+    it('should credit a minority vote claimed after the epoch was resolved', async () => {
+      await setMinorityParticipationPct('50');
+      const pollID = await splitVote('late.net');
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+      const [epochTokens] = await bank.getEpochDetails.call(epochNumber);
+      assert.strictEqual(epochTokens.toString(10), '650', 'the resolution should have tallied the participation tokens');
+
+      await utils.as(voterAlice, registry.claimReward, pollID, '420');
+      await utils.increaseTime(epochDuration);
+      await utils.as(voterAlice, registry.resolveEpoch, epochNumber);
+      // a later change of minorityParticipationPct does not apply to the resolved challenge
+      await setMinorityParticipationPct('100');
+
+      await utils.as(voterBob, registry.claimParticipationReward, pollID, '421');
+      assert.strictEqual(
+        (await bank.getEpochVoterTokens.call(epochNumber, voterBob)).toString(10), '150',
+        'bob\'s participation tokens should have been credited after the epoch was resolved',
+      );
+      const [, epochInflation] = await bank.getEpochDetails.call(epochNumber);
+      const bobStartingBalance = await token.balanceOf.call(voterBob);
+      await utils.as(voterBob, registry.claimInflationRewards, pollID);
+      assert.strictEqual(
+        (await token.balanceOf.call(voterBob)).toString(10),
+        bobStartingBalance.add(epochInflation.mul(150).div(650).floor()).toString(10),
+        'bob should have received his share of the epoch\'s inflation',
+      );
+    });
+
+    it('should revert for majority votes and repeated claims', async () => {
+      await setMinorityParticipationPct('50');
+      const pollID = await splitVote('majority.net');
+
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimParticipationReward, pollID, '420'),
+        'should not have been able to claim a participation reward for a majority vote',
+      );
+      await utils.as(voterBob, registry.claimParticipationReward, pollID, '421');
+      await utils.expectRevert(
+        utils.as(voterBob, registry.claimParticipationReward, pollID, '421'),
+        'should not have been able to claim a participation reward twice',
+      );
+    });
+
+    it('should revert while minorityParticipationPct is zero', async () => {
+      const pollID = await splitVote('disabled.net');
+
+      await utils.expectRevert(
+        utils.as(voterBob, registry.claimParticipationReward, pollID, '421'),
+        'should not have been able to claim a participation reward without a minorityParticipationPct',
+      );
+    });
+  });
+});
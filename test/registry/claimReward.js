@@ -307,6 +307,56 @@ contract('Registry', (accounts) => {
         'bob should have the same balance as he started',
       );
     });
+
+    it('should credit the epoch with the reward of a challenge claimed after the epoch was resolved', async () => {
+      const ali = {
+        address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+      };
+      const bob = {
+        address: voterBob, voteOption: '0', numTokens: '600', salt: '420',
+      };
+
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali, bob },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: await utils.getListingHash('lateClaim.in'),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID, '420');
+
+      // the epoch is resolved before bob claims
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+      await utils.increaseTime((await bank.EPOCH_DURATION.call()).toNumber());
+      await utils.as(voterAlice, registry.resolveEpoch, epochNumber);
+
+      const bobStartingBalance = await token.balanceOf.call(voterBob);
+      const bobVoterReward = await registry.voterReward(voterBob, pollID, '420');
+      await utils.as(voterBob, registry.claimReward, pollID, '420');
+      assert.strictEqual(
+        (await token.balanceOf.call(voterBob)).toString(10), bobStartingBalance.add(bobVoterReward).toString(10),
+        'bob should have received his reward',
+      );
+      assert.strictEqual(
+        (await bank.getEpochVoterTokens.call(epochNumber, voterBob)).toString(10), '600',
+        'the resolved epoch should have credited bob\'s tokens',
+      );
+      assert.strictEqual(
+        (await bank.getEpochVoterTokens.call(epochNumber, voterAlice)).toString(10), '500',
+        'the epoch should have kept alice\'s tokens',
+      );
+
+      // bob's share of the epoch's inflation was set aside when the epoch was resolved
+      const bobInflationReward = await bank.getEpochInflationVoterRewards.call(epochNumber, voterBob);
+      assert(bobInflationReward.gt(0), 'bob should have earned inflation rewards');
+      const bobBalance = await token.balanceOf.call(voterBob);
+      await utils.as(voterBob, registry.claimInflationRewards, pollID);
+      assert.strictEqual(
+        (await token.balanceOf.call(voterBob)).toString(10), bobBalance.add(bobInflationReward).toString(10),
+        'bob should have received his share of the epoch\'s inflation',
+      );
+    });
   });
 });
-
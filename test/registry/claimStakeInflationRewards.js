@@ -0,0 +1,164 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: claimStakeInflationRewards', () => {
+    const [applicant, challenger, voterAlice] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let voting;
+    let registry;
+    let bank;
+    let epochDuration;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    // alice votes for the listing (1) or for the challenger (0), or nobody votes
+    const resolveChallenge = async (domain, voters) => {
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters,
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash(domain),
+      });
+      return utils.getChallengeEpochNumber(registry, pollID);
+    };
+
+    const alice = voteOption => ({
+      ali: {
+        address: voterAlice, voteOption, numTokens: '500', salt: '420',
+      },
+    });
+
+    it('should pay a successful challenger the challengers\' share of the epoch\'s inflation', async () => {
+      const epochNumber = await resolveChallenge('challenger.net', alice('0'));
+      const [challengerStake, listingOwnerStake] = await bank.getEpochStakes.call(epochNumber, challenger);
+      assert.strictEqual(challengerStake.toString(10), minDeposit.toString(10), 'the challenger\'s stake should have been recorded');
+      assert.strictEqual(listingOwnerStake.toString(10), '0', 'the challenger should not own a defended listing');
+
+      await utils.increaseTime(epochDuration);
+      const releasedInflation = await bank.getEpochInflation.call(epochNumber);
+      const challengerStartingBalance = await token.balanceOf.call(challenger);
+      const receipt = await utils.as(challenger, registry.claimStakeInflationRewards, epochNumber);
+
+      const [, challengerInflation, , listingOwnerInflation] =
+        await bank.getEpochStakeDetails.call(epochNumber);
+      const [, , challengerPct] = await bank.getParameters.call(epochNumber);
+      const expectedInflation = releasedInflation.sub(utils.getResolverBounty(receipt))
+        .mul(challengerPct).div(100).floor();
+      assert.strictEqual(
+        challengerInflation.toString(10), expectedInflation.toString(10),
+        'challengers should share their percentage of the epoch\'s inflation',
+      );
+      assert.strictEqual(listingOwnerInflation.toString(10), '0', 'no listing owner share should have been released');
+
+      const [claimed] = receipt.logs.filter(log => log.event === '_StakeInflationRewardsClaimed');
+      assert.strictEqual(claimed.args.stakeholder, challenger, 'the event should have emitted the challenger');
+      assert.strictEqual(
+        claimed.args.epochInflationStakeRewards.toString(10), challengerInflation.toString(10),
+        'the only challenger should have claimed all of the challengers\' inflation',
+      );
+      assert.strictEqual(
+        (await token.balanceOf.call(challenger)).toString(10),
+        challengerStartingBalance.add(challengerInflation).add(utils.getResolverBounty(receipt)).toString(10),
+        'the challenger should have received the inflation rewards and the resolver bounty',
+      );
+      assert.strictEqual(
+        await bank.stakeInflationClaimed.call(epochNumber, challenger), true,
+        'the claim should have been recorded',
+      );
+    });
+
+    it('should pay a defended listing\'s owner the listing owners\' share of the epoch\'s inflation', async () => {
+      const epochNumber = await resolveChallenge('owner.net', alice('1'));
+      const [, listingOwnerStake] = await bank.getEpochStakes.call(epochNumber, applicant);
+      assert.strictEqual(listingOwnerStake.toString(10), minDeposit.toString(10), 'the owner\'s stake should have been recorded');
+
+      await utils.increaseTime(epochDuration);
+      await utils.as(voterAlice, registry.resolveEpoch, epochNumber);
+      const [, challengerInflation, , listingOwnerInflation] =
+        await bank.getEpochStakeDetails.call(epochNumber);
+      assert.strictEqual(challengerInflation.toString(10), '0', 'no challenger share should have been released');
+
+      const applicantStartingBalance = await token.balanceOf.call(applicant);
+      await utils.as(applicant, registry.claimStakeInflationRewards, epochNumber);
+      assert.strictEqual(
+        (await token.balanceOf.call(applicant)).toString(10),
+        applicantStartingBalance.add(listingOwnerInflation).toString(10),
+        'the listing owner should have received the listing owners\' inflation',
+      );
+    });
+
+    it('should revert if an account without stakes claims or a stakeholder claims again', async () => {
+      const epochNumber = await resolveChallenge('twice.net', alice('0'));
+      await utils.increaseTime(epochDuration);
+
+      await utils.as(challenger, registry.claimStakeInflationRewards, epochNumber);
+      await utils.expectRevert(
+        utils.as(challenger, registry.claimStakeInflationRewards, epochNumber),
+        'should not have been able to claim the epoch\'s stake inflation rewards twice',
+      );
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.claimStakeInflationRewards, epochNumber),
+        'should not have been able to claim stake inflation rewards without stakes',
+      );
+    });
+
+    it('should resolve rather than roll over an epoch whose only participant is a challenger', async () => {
+      const epochNumber = await resolveChallenge('novotes.net', {});
+      const [epochTokens] = await bank.getEpochDetails.call(epochNumber);
+      assert.strictEqual(epochTokens.toString(10), '0', 'nobody should have voted');
+
+      await utils.increaseTime(epochDuration);
+      const receipt = await utils.as(voterAlice, registry.resolveEpoch, epochNumber);
+      assert.strictEqual(
+        receipt.logs.filter(log => log.event === '_EpochRolledOver').length, 0,
+        'the epoch should not have been rolled over',
+      );
+      const [, epochInflation, epochResolved] = await bank.getEpochDetails.call(epochNumber);
+      assert.strictEqual(epochResolved, true, 'the epoch should have been resolved');
+      assert.strictEqual(epochInflation.toString(10), '0', 'no voter share should have been released');
+
+      // the shares of the voters and listing owners are carried forward to the next epoch
+      const { resolverBounty } = receipt.logs.find(log => log.event === '_EpochResolved').args;
+      const [, challengerInflation] = await bank.getEpochStakeDetails.call(epochNumber);
+      const releasedInflation = await bank.getScheduledInflation.call(epochNumber);
+      assert.strictEqual(
+        (await bank.carriedInflation.call()).toString(10),
+        releasedInflation.sub(resolverBounty).sub(challengerInflation).toString(10),
+        'the unreleased shares should have been carried forward',
+      );
+
+      const challengerStartingBalance = await token.balanceOf.call(challenger);
+      await utils.as(challenger, registry.claimStakeInflationRewards, epochNumber);
+      assert(
+        (await token.balanceOf.call(challenger)).gt(challengerStartingBalance),
+        'the challenger should have received inflation rewards',
+      );
+    });
+  });
+});
@@ -8,7 +8,7 @@ const paramConfig = config.paramDefaults;
 const utils = require('../utils.js');
 
 contract('Registry', (accounts) => {
-  describe('Function: exit', () => {
+  describe('Function: initExit and finalizeExit', () => {
     const [applicant, challenger, voter] = accounts;
 
     let token;
@@ -32,7 +32,9 @@ contract('Registry', (accounts) => {
       const isWhitelisted = await registry.isWhitelisted.call(listing);
       assert.strictEqual(isWhitelisted, true, 'the listing was not added to the registry');
 
-      await registry.exit(listing, { from: applicant });
+      await registry.initExit(listing, { from: applicant });
+      await utils.increaseTime(paramConfig.exitTimeDelay + 1);
+      await registry.finalizeExit(listing, { from: applicant });
 
       const isWhitelistedAfterExit = await registry.isWhitelisted.call(listing);
       assert.strictEqual(isWhitelistedAfterExit, false, 'the listing was not removed on exit');
@@ -57,7 +59,7 @@ contract('Registry', (accounts) => {
 
       await registry.challenge(listing, '', { from: challenger });
       try {
-        await registry.exit(listing, { from: applicant });
+        await registry.initExit(listing, { from: applicant });
         assert(false, 'exit succeeded when it should have failed');
       } catch (err) {
         const errMsg = err.toString();
@@ -88,12 +90,19 @@ contract('Registry', (accounts) => {
       await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
 
       try {
-        await registry.exit(listing, { from: voter });
+        await registry.initExit(listing, { from: voter });
         assert(false, 'exit succeeded when it should have failed');
       } catch (err) {
         const errMsg = err.toString();
         assert(utils.isEVMException(err), errMsg);
       }
+
+      await registry.initExit(listing, { from: applicant });
+      await utils.increaseTime(paramConfig.exitTimeDelay + 1);
+      await utils.expectRevert(
+        registry.finalizeExit(listing, { from: voter }),
+        'exit was finalized by someone other than its owner',
+      );
       const isWhitelistedAfterExit = await registry.isWhitelisted.call(listing);
       assert.strictEqual(
         isWhitelistedAfterExit,
@@ -108,13 +117,65 @@ contract('Registry', (accounts) => {
       await utils.as(applicant, registry.apply, listing, paramConfig.minDeposit, '');
 
       try {
-        await registry.exit(listing, { from: applicant });
+        await registry.initExit(listing, { from: applicant });
       } catch (err) {
         assert(utils.isEVMException(err), err.toString());
         return;
       }
       assert(false, 'exit succeeded for non-whitelisted listing');
     });
+
+    it('should only finalize an exit between the end of the exit delay and the end of the exit period', async () => {
+      const listing = utils.getListingHash('delayed.net');
+
+      await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
+      const receipt = await registry.initExit(listing, { from: applicant });
+      const { exitTime, exitTimeExpiry } = receipt.logs[0].args;
+      assert.strictEqual(
+        exitTimeExpiry.sub(exitTime).toString(10), paramConfig.exitPeriodLength.toString(10),
+        'the exit period should last exitPeriodLen',
+      );
+
+      await utils.expectRevert(
+        registry.finalizeExit(listing, { from: applicant }),
+        'exit was finalized before the exit delay passed',
+      );
+      await utils.expectRevert(
+        registry.initExit(listing, { from: applicant }),
+        'exit was initialized twice',
+      );
+
+      await utils.increaseTime(paramConfig.exitTimeDelay + paramConfig.exitPeriodLength + 1);
+      await utils.expectRevert(
+        registry.finalizeExit(listing, { from: applicant }),
+        'exit was finalized after the exit period ended',
+      );
+
+      // an expired exit can be initialized again
+      await registry.initExit(listing, { from: applicant });
+      await utils.increaseTime(paramConfig.exitTimeDelay + 1);
+      await registry.finalizeExit(listing, { from: applicant });
+      assert.strictEqual(await registry.isWhitelisted.call(listing), false, 'the listing was not removed on exit');
+    });
+
+    it('should let a listing be challenged and removed during its exit delay', async () => {
+      const listing = utils.getListingHash('escaping.net');
+
+      await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
+      await registry.initExit(listing, { from: applicant });
+      await registry.challenge(listing, '', { from: challenger });
+
+      await utils.increaseTime(paramConfig.exitTimeDelay + 1);
+      await utils.expectRevert(
+        registry.finalizeExit(listing, { from: applicant }),
+        'exit was finalized during a challenge',
+      );
+
+      // nobody votes, so the challenge succeeds
+      await utils.increaseTime(paramConfig.commitStageLength + paramConfig.revealStageLength + 1);
+      await registry.updateStatus(listing);
+      assert.strictEqual(await registry.isWhitelisted.call(listing), false, 'the challenged listing should have been removed');
+    });
   });
 });
 
@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+contract('Registry', (accounts) => {
+  describe('Function: getApplications', () => {
+    const [applicant, challenger, voterAlice] = accounts;
+
+    let token;
+    let voting;
+    let registry;
+
+    beforeEach(async () => {
+      const { votingProxy, registryProxy, tokenInstance } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    it('should list pending applications until they are whitelisted', async () => {
+      const listingHash = utils.getListingHash('pending.net');
+      await utils.as(applicant, registry.apply, listingHash, paramConfig.minDeposit, '');
+
+      assert.strictEqual((await registry.getApplicationCount.call()).toString(10), '1', 'the application should have been counted');
+      assert.deepEqual(await registry.getApplications.call('0', '10'), [listingHash], 'the application should have been listed');
+      assert.strictEqual((await registry.getWhitelistedCount.call()).toString(10), '0', 'the application should not be whitelisted yet');
+
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listingHash);
+      assert.deepEqual(await registry.getApplications.call('0', '10'), [], 'the whitelisted application should have been dropped');
+      assert.deepEqual(await registry.getWhitelistedListings.call('0', '10'), [listingHash], 'the listing should have been whitelisted');
+    });
+
+    it('should drop applications removed by a successful challenge', async () => {
+      const listingHash = utils.getListingHash('rejected.net');
+      await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: {
+          ali: {
+            address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+          },
+        },
+        registry,
+        voting,
+        minDeposit: paramConfig.minDeposit,
+        listingHash,
+      });
+
+      assert.strictEqual((await registry.getApplicationCount.call()).toString(10), '0', 'the removed application should not be counted');
+      assert.strictEqual((await registry.getWhitelistedCount.call()).toString(10), '0', 'the removed application should not be whitelisted');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+contract('Registry', (accounts) => {
+  describe('Function: getListingChallenges', () => {
+    const [applicant, challenger, voterAlice] = accounts;
+
+    let token;
+    let voting;
+    let registry;
+
+    beforeEach(async () => {
+      const { votingProxy, registryProxy, tokenInstance } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    const getHistory = async listingHash => (
+      (await registry.getListingChallenges.call(listingHash)).map(challengeID => challengeID.toString(10))
+    );
+
+    it('should return no challenges for an unchallenged listing', async () => {
+      const listing = utils.getListingHash('peaceful.net');
+      await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
+
+      assert.deepEqual(await getHistory(listing), [], 'the listing should not have a challenge history');
+    });
+
+    it('should keep every challenge a listing faced, across removals and reapplications', async () => {
+      const listing = utils.getListingHash('disputed.net');
+
+      // alice defends the application, then nobody votes on the second challenge, which succeeds
+      const firstID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: {
+          ali: {
+            address: voterAlice, voteOption: '1', numTokens: '500', salt: '420',
+          },
+        },
+        registry,
+        voting,
+        minDeposit: paramConfig.minDeposit,
+        listingHash: listing,
+      });
+      const secondID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.increaseTime(paramConfig.commitStageLength + paramConfig.revealStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+      assert.strictEqual(await registry.isWhitelisted.call(listing), false, 'the listing should have been removed');
+
+      await utils.as(applicant, registry.apply, listing, paramConfig.minDeposit, '');
+      const thirdID = await utils.challengeAndGetPollID(listing, challenger, registry);
+
+      assert.deepEqual(
+        await getHistory(listing), [firstID, secondID, thirdID].map(id => id.toString(10)),
+        'every challenge should have been kept, oldest first',
+      );
+      const challenge = await registry.challenges.call(firstID);
+      assert.strictEqual(challenge[7], listing, 'the challenge should reference the challenged listing');
+    });
+  });
+});
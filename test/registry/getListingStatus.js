@@ -0,0 +1,82 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+// Registry.ListingStatus
+const NONE = '0';
+const APPLYING = '1';
+const APPLICATION_CHALLENGED = '2';
+const READY_TO_WHITELIST = '3';
+const WHITELISTED = '4';
+const WHITELIST_CHALLENGED = '5';
+const CHALLENGE_RESOLVABLE = '6';
+
+contract('Registry', (accounts) => {
+  describe('Function: getListingStatus', () => {
+    const [applicant, challenger] = accounts;
+
+    let token;
+    let voting;
+    let registry;
+
+    beforeEach(async () => {
+      const { votingProxy, registryProxy, tokenInstance } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    // the status and deadlines, without the pending data update covered by updateListingData
+    const getStatus = async listingHash => (
+      (await registry.getListingStatus.call(listingHash)).slice(0, 4).map(value => value.toString(10))
+    );
+
+    it('should follow an application through its apply stage and a failed challenge', async () => {
+      const listing = utils.getListingHash('lifecycle.net');
+      assert.deepEqual(await getStatus(listing), [NONE, '0', '0', '0'], 'a listing nobody applied for should have no status');
+
+      await utils.as(applicant, registry.apply, listing, paramConfig.minDeposit, '');
+      const [applicationExpiry] = await registry.listings.call(listing);
+      assert.deepEqual(
+        await getStatus(listing), [APPLYING, applicationExpiry.toString(10), '0', '0'],
+        'the application should be in its apply stage',
+      );
+
+      const pollID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      const [commitEndDate, revealEndDate] = await voting.pollMap.call(pollID);
+      assert.deepEqual(
+        await getStatus(listing),
+        [APPLICATION_CHALLENGED, applicationExpiry.toString(10), commitEndDate.toString(10), revealEndDate.toString(10)],
+        'the application should be challenged, with the poll\'s deadlines',
+      );
+
+      await utils.commitVote(pollID, '1', '10', '420', applicant, voting);
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await utils.as(applicant, voting.revealVote, pollID, '1', '420');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      assert.strictEqual((await getStatus(listing))[0], CHALLENGE_RESOLVABLE, 'the challenge should be resolvable');
+
+      await utils.as(applicant, registry.updateStatus, listing);
+      assert.deepEqual(await getStatus(listing), [WHITELISTED, '0', '0', '0'], 'the listing should have been whitelisted');
+
+      await utils.challengeAndGetPollID(listing, challenger, registry);
+      assert.strictEqual((await getStatus(listing))[0], WHITELIST_CHALLENGED, 'the whitelisted listing should be challenged');
+    });
+
+    it('should report an unchallenged application past its apply stage as ready to whitelist', async () => {
+      const listing = utils.getListingHash('ready.net');
+      await utils.as(applicant, registry.apply, listing, paramConfig.minDeposit, '');
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+
+      assert.strictEqual((await getStatus(listing))[0], READY_TO_WHITELIST, 'the application should be ready to whitelist');
+      assert.strictEqual(await registry.canBeWhitelisted.call(listing), true, 'the status should agree with canBeWhitelisted');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+contract('Registry', (accounts) => {
+  describe('Function: getWhitelistedListings', () => {
+    const [applicant] = accounts;
+
+    let token;
+    let registry;
+
+    beforeEach(async () => {
+      const { registryProxy, tokenInstance } = await utils.getProxies();
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, false, false, registry);
+    });
+
+    const whitelist = async (domains) => {
+      const listingHashes = domains.map(utils.getListingHash);
+      // apply in sequence, so the listings are whitelisted in order
+      await listingHashes.reduce(async (previous, listingHash) => {
+        await previous;
+        await utils.as(applicant, registry.apply, listingHash, paramConfig.minDeposit, '');
+      }, Promise.resolve());
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatuses, listingHashes);
+      return listingHashes;
+    };
+
+    it('should page through the whitelisted listings in the order they were whitelisted', async () => {
+      const listingHashes = await whitelist(['a.net', 'b.net', 'c.net']);
+
+      assert.strictEqual((await registry.getWhitelistedCount.call()).toString(10), '3', 'three listings should have been counted');
+      assert.deepEqual(
+        await registry.getWhitelistedListings.call('0', '2'), listingHashes.slice(0, 2),
+        'the first page should hold the first two listings',
+      );
+      assert.deepEqual(
+        await registry.getWhitelistedListings.call('2', '2'), listingHashes.slice(2),
+        'the last page should only hold the remaining listing',
+      );
+      assert.deepEqual(
+        await registry.getWhitelistedListings.call('3', '2'), [],
+        'a page past the end should be empty',
+      );
+    });
+
+    it('should drop listings that exit the whitelist', async () => {
+      const [first, second, third] = await whitelist(['d.net', 'e.net', 'f.net']);
+
+      await utils.exitListing(second, applicant, registry);
+      assert.strictEqual((await registry.getWhitelistedCount.call()).toString(10), '2', 'the exited listing should not be counted');
+      assert.deepEqual(
+        await registry.getWhitelistedListings.call('0', '10'), [first, third],
+        'the exited listing should have been dropped',
+      );
+    });
+  });
+});
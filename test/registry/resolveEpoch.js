@@ -0,0 +1,124 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: resolveEpoch', () => {
+    const [applicant, challenger, voterAlice, resolver] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let voting;
+    let registry;
+    let bank;
+    let epochDuration;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    // alice wins a challenge and claims her voter reward
+    const winChallenge = async (domain) => {
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: {
+          ali: {
+            address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+          },
+        },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash(domain),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID, '420');
+      return pollID;
+    };
+
+    it('should resolve a finished epoch and pay the caller the resolver bounty', async () => {
+      const pollID = await winChallenge('resolve.net');
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+      await utils.increaseTime(epochDuration);
+
+      const releasedInflation = await bank.getEpochInflation.call(epochNumber);
+      const [, bountyPct] = await bank.getParameters.call(epochNumber);
+      const expectedBounty = releasedInflation.mul(bountyPct).div(100).floor();
+      const resolverStartingBalance = await token.balanceOf.call(resolver);
+
+      const receipt = await utils.as(resolver, registry.resolveEpoch, epochNumber);
+      const [resolved] = receipt.logs.filter(log => log.event === '_EpochResolved');
+      assert.strictEqual(resolved.args.resolver, resolver, 'the event should have emitted the resolver');
+      assert.strictEqual(
+        resolved.args.resolverBounty.toString(10), expectedBounty.toString(10),
+        'the event should have emitted the resolver bounty',
+      );
+      assert.strictEqual(
+        (await token.balanceOf.call(resolver)).toString(10),
+        resolverStartingBalance.add(expectedBounty).toString(10),
+        'the resolver should have received the bounty',
+      );
+
+      const [, epochInflation, epochResolved] = await bank.getEpochDetails.call(epochNumber);
+      assert.strictEqual(epochResolved, true, 'the epoch should have been resolved');
+      assert.strictEqual(
+        epochInflation.toString(10), (await utils.getVoterInflation(bank, epochNumber, releasedInflation)).toString(10),
+        'voters should share their percentage of the epoch\'s inflation minus the bounty',
+      );
+
+      // alice's claim no longer resolves the epoch
+      const aliceStartingBalance = await token.balanceOf.call(voterAlice);
+      const claimReceipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      assert.strictEqual(
+        utils.getResolverBounty(claimReceipt).toString(10), '0',
+        'the claim should not have resolved the epoch again',
+      );
+      assert.strictEqual(
+        (await token.balanceOf.call(voterAlice)).toString(10),
+        aliceStartingBalance.add(epochInflation).toString(10),
+        'alice, the only voter, should have received the epoch\'s inflation',
+      );
+    });
+
+    it('should roll over a finished epoch without voters', async () => {
+      await utils.increaseTime(epochDuration);
+      const receipt = await utils.as(resolver, registry.resolveEpoch, '0');
+      const events = receipt.logs.map(log => log.event);
+      assert.deepEqual(events, ['_EpochRolledOver'], 'the epoch should have been rolled over');
+    });
+
+    it('should revert if the epoch is not over or already resolved', async () => {
+      const pollID = await winChallenge('resolvetwice.net');
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+
+      await utils.expectRevert(
+        utils.as(resolver, registry.resolveEpoch, epochNumber),
+        'should not have been able to resolve the current epoch',
+      );
+
+      await utils.increaseTime(epochDuration);
+      await utils.as(resolver, registry.resolveEpoch, epochNumber);
+      await utils.expectRevert(
+        utils.as(resolver, registry.resolveEpoch, epochNumber),
+        'should not have been able to resolve an epoch twice',
+      );
+    });
+  });
+});
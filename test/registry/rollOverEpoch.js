@@ -0,0 +1,138 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: rollOverEpoch', () => {
+    const [applicant, challenger, voterAlice] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let voting;
+    let registry;
+    let bank;
+    let epochDuration;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    it('should carry the inflation of an epoch without voters forward to the next epoch resolved with voters', async () => {
+      const reserve = await token.balanceOf.call(bank.address);
+
+      // nobody votes during epoch 0
+      await utils.increaseTime(epochDuration);
+      const rollOverReceipt = await utils.as(voterAlice, registry.rollOverEpoch, '0');
+      const [rolledOver] = rollOverReceipt.logs.filter(log => log.event === '_EpochRolledOver');
+      const carriedInflation = await bank.getScheduledInflation.call('0');
+      assert.strictEqual(
+        rolledOver.args.carriedInflation.toString(10), carriedInflation.toString(10),
+        'the epoch\'s inflation should have been carried forward',
+      );
+      assert.strictEqual(
+        (await bank.carriedInflation.call()).toString(10), carriedInflation.toString(10),
+        'the bank should have recorded the carried inflation',
+      );
+      assert.strictEqual(
+        (await token.balanceOf.call(bank.address)).toString(10), reserve.toString(10),
+        'the carried inflation should have stayed in the reserve',
+      );
+      assert.strictEqual(
+        (await bank.getEpochInflationVoterRewards.call('0', voterAlice)).toString(10), '0',
+        'an epoch without voters should reward no one',
+      );
+
+      // alice wins a challenge during epoch 1
+      const ali = {
+        address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+      };
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash('rollover.net'),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID, ali.salt);
+
+      await utils.increaseTime(epochDuration);
+      const aliceStartingBalance = await token.balanceOf.call(voterAlice);
+      const receipt = await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+      const [, epochInflation] = await bank.getEpochDetails.call(epochNumber);
+      const expectedInflation = (await bank.getScheduledInflation.call(epochNumber))
+        .add(carriedInflation);
+      assert.strictEqual(
+        epochInflation.toString(10), (await utils.getVoterInflation(bank, epochNumber, expectedInflation)).toString(10),
+        'the epoch should have released its own and the carried inflation',
+      );
+      // alice, the only voter, also resolved the epoch
+      assert.strictEqual(
+        (await token.balanceOf.call(voterAlice)).toString(10),
+        aliceStartingBalance.add(epochInflation).add(utils.getResolverBounty(receipt)).toString(10),
+        'alice, the only voter, should have received the voters\' inflation and the bounty',
+      );
+      // only the listing owners' share, as no challenge failed, is carried forward again
+      const [, challengerInflation] = await bank.getEpochStakeDetails.call(epochNumber);
+      assert.strictEqual(
+        (await bank.carriedInflation.call()).toString(10),
+        expectedInflation.sub(utils.getResolverBounty(receipt)).sub(epochInflation).sub(challengerInflation)
+          .toString(10),
+        'the carried inflation should have been released',
+      );
+    });
+
+    it('should revert if the epoch is not over, has voters or was already resolved', async () => {
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.rollOverEpoch, '0'),
+        'should not have been able to roll over the current epoch',
+      );
+
+      const ali = {
+        address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+      };
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash('norollover.net'),
+      });
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+      await utils.increaseTime(epochDuration * 2);
+
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.rollOverEpoch, epochNumber),
+        'should not have been able to roll over an epoch with voters',
+      );
+
+      await utils.as(voterAlice, registry.rollOverEpoch, epochNumber.add(1));
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.rollOverEpoch, epochNumber.add(1)),
+        'should not have been able to roll over an epoch twice',
+      );
+    });
+  });
+});
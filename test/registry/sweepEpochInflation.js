@@ -0,0 +1,120 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: sweepEpochInflation', () => {
+    const [applicant, challenger, voterAlice, voterBob] = accounts;
+    const minDeposit = bigTen(paramConfig.minDeposit);
+
+    let token;
+    let voting;
+    let registry;
+    let bank;
+    let epochDuration;
+    let inflationClaimPeriod;
+
+    beforeEach(async () => {
+      const {
+        votingProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+      inflationClaimPeriod = (await bank.INFLATION_CLAIM_PERIOD.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    it('should return the unclaimed inflation to the reserve once the claim period is over', async () => {
+      const ali = {
+        address: voterAlice, voteOption: '0', numTokens: '500', salt: '420',
+      };
+      const bob = {
+        address: voterBob, voteOption: '0', numTokens: '800', salt: '421',
+      };
+      const pollID = await utils.getToClaiming({
+        applicant,
+        challenger,
+        voters: { ali, bob },
+        registry,
+        voting,
+        minDeposit,
+        listingHash: utils.getListingHash('sweep.net'),
+      });
+      await utils.as(voterAlice, registry.claimReward, pollID, ali.salt);
+      await utils.as(voterBob, registry.claimReward, pollID, bob.salt);
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+
+      // alice claims, bob does not
+      await utils.increaseTime(epochDuration);
+      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      await utils.expectRevert(
+        utils.as(voterAlice, registry.sweepEpochInflation, epochNumber),
+        'should not have been able to sweep during the claim period',
+      );
+
+      await utils.increaseTime(epochDuration * inflationClaimPeriod);
+      assert.strictEqual(
+        await bank.inflationSweepable.call(epochNumber), true,
+        'the epoch\'s inflation should be sweepable after the claim period',
+      );
+
+      const [, epochInflation] = await bank.getEpochDetails.call(epochNumber);
+      const aliceInflationReward = await bank.getEpochInflationVoterRewards.call(epochNumber, voterAlice);
+      const unclaimedInflation = epochInflation.add(await utils.getStakeInflation(bank, epochNumber))
+        .sub(aliceInflationReward);
+      const reserveBeforeSweep = await token.balanceOf.call(bank.address);
+
+      const receipt = await utils.as(challenger, registry.sweepEpochInflation, epochNumber);
+      const [swept] = receipt.logs.filter(log => log.event === '_EpochInflationSwept');
+      assert.strictEqual(
+        swept.args.sweptInflation.toString(10), unclaimedInflation.toString(10),
+        'the event should have emitted the unclaimed inflation',
+      );
+      assert.strictEqual(swept.args.sweeper, challenger, 'the event should have emitted the sweeper');
+      assert.strictEqual(
+        (await token.balanceOf.call(bank.address)).toString(10),
+        reserveBeforeSweep.add(unclaimedInflation).toString(10),
+        'the unclaimed inflation should have been returned to the reserve',
+      );
+
+      const [claimedInflation, sweptFlag] = await bank.getEpochClaimDetails.call(epochNumber);
+      assert.strictEqual(claimedInflation.toString(10), aliceInflationReward.toString(10), 'the bank should have recorded alice\'s claim');
+      assert.strictEqual(sweptFlag, true, 'the epoch should have been swept');
+
+      await utils.expectRevert(
+        utils.as(voterBob, registry.claimInflationRewards, pollID),
+        'bob should not have been able to claim swept inflation',
+      );
+      await utils.expectRevert(
+        utils.as(challenger, registry.sweepEpochInflation, epochNumber),
+        'should not have been able to sweep an epoch twice',
+      );
+    });
+
+    it('should not sweep an epoch that was not resolved with voters', async () => {
+      await utils.increaseTime(epochDuration * (inflationClaimPeriod + 1));
+      await utils.expectRevert(
+        utils.as(challenger, registry.sweepEpochInflation, '0'),
+        'should not have been able to sweep an unresolved epoch',
+      );
+
+      await utils.as(challenger, registry.rollOverEpoch, '0');
+      await utils.expectRevert(
+        utils.as(challenger, registry.sweepEpochInflation, '0'),
+        'should not have been able to sweep a rolled over epoch',
+      );
+    });
+  });
+});
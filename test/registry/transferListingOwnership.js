@@ -0,0 +1,98 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+contract('Registry', (accounts) => {
+  describe('Function: transferListingOwnership', () => {
+    const [applicant, newOwner, challenger, other] = accounts;
+
+    let token;
+    let registry;
+
+    beforeEach(async () => {
+      const { registryProxy, tokenInstance } = await utils.getProxies();
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, false, false, registry);
+    });
+
+    it('should transfer a whitelisted listing once the new owner accepts it', async () => {
+      const listing = utils.getListingHash('transferred.net');
+      await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
+      await utils.as(applicant, registry.initExit, listing);
+
+      const initiated = await utils.as(applicant, registry.transferListingOwnership, listing, newOwner);
+      assert.strictEqual(initiated.logs[0].event, '_ListingOwnershipTransferInitiated', 'the transfer should have been initiated');
+      assert.strictEqual(await registry.pendingOwners.call(listing), newOwner, 'the new owner should be pending');
+      assert.strictEqual((await registry.listings.call(listing))[2], applicant, 'the owner should not change before the transfer is accepted');
+
+      const accepted = await utils.as(newOwner, registry.acceptListingOwnership, listing);
+      const [transferred] = accepted.logs.filter(log => log.event === '_ListingOwnershipTransferred');
+      assert.strictEqual(transferred.args.previousOwner, applicant, 'the event should have emitted the previous owner');
+      assert.strictEqual(transferred.args.newOwner, newOwner, 'the event should have emitted the new owner');
+      assert.strictEqual((await registry.listings.call(listing))[2], newOwner, 'the new owner should own the listing');
+      assert.strictEqual(await registry.pendingOwners.call(listing), ZERO_ADDRESS, 'the pending transfer should have been cleared');
+      assert.strictEqual(await registry.isWhitelisted.call(listing), true, 'the listing should still be whitelisted');
+      assert.strictEqual((await registry.listings.call(listing))[7].toString(10), '0', 'the previous owner\'s exit should have been cleared');
+
+      await utils.expectRevert(
+        utils.as(applicant, registry.withdraw, listing, '1'),
+        'the previous owner should not have been able to withdraw from the listing',
+      );
+      await utils.as(newOwner, registry.deposit, listing, '1');
+    });
+
+    it('should revert for other accounts and while a challenge is unresolved', async () => {
+      const listing = utils.getListingHash('disputed.net');
+      await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
+
+      await utils.expectRevert(
+        utils.as(other, registry.transferListingOwnership, listing, other),
+        'should not have been able to transfer another account\'s listing',
+      );
+      await utils.as(applicant, registry.transferListingOwnership, listing, newOwner);
+      await utils.expectRevert(
+        utils.as(other, registry.acceptListingOwnership, listing),
+        'should not have been able to accept a transfer to another account',
+      );
+
+      await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.expectRevert(
+        utils.as(newOwner, registry.acceptListingOwnership, listing),
+        'should not have been able to accept a transfer during a challenge',
+      );
+      await utils.expectRevert(
+        utils.as(applicant, registry.transferListingOwnership, listing, other),
+        'should not have been able to start a transfer during a challenge',
+      );
+    });
+
+    it('should cancel a pending transfer that is redirected to the zero address or outlived by the listing', async () => {
+      const listing = utils.getListingHash('cancelled.net');
+      await utils.addToWhitelist(listing, paramConfig.minDeposit, applicant, registry);
+
+      await utils.as(applicant, registry.transferListingOwnership, listing, newOwner);
+      await utils.as(applicant, registry.transferListingOwnership, listing, ZERO_ADDRESS);
+      await utils.expectRevert(
+        utils.as(newOwner, registry.acceptListingOwnership, listing),
+        'should not have been able to accept a cancelled transfer',
+      );
+
+      await utils.as(applicant, registry.transferListingOwnership, listing, newOwner);
+      await utils.exitListing(listing, applicant, registry);
+      await utils.as(other, registry.apply, listing, paramConfig.minDeposit, '');
+      await utils.expectRevert(
+        utils.as(newOwner, registry.acceptListingOwnership, listing),
+        'should not have been able to take over a listing reapplied for by another account',
+      );
+    });
+  });
+});
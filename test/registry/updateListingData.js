@@ -0,0 +1,142 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const BN = require('bignumber.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const utils = require('../utils.js');
+
+const bigTen = number => new BN(number.toString(10), 10);
+
+contract('Registry', (accounts) => {
+  describe('Function: updateListingData', () => {
+    const [applicant, challenger, other] = accounts;
+
+    let token;
+    let voting;
+    let registry;
+
+    beforeEach(async () => {
+      const { votingProxy, registryProxy, tokenInstance } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+    });
+
+    const getData = async listingHash => (await registry.listings.call(listingHash))[5];
+    const getPendingData = async listingHash => (await registry.getListingStatus.call(listingHash))[4];
+
+    const whitelist = async (listingHash, data) => {
+      await utils.as(applicant, registry.apply, listingHash, paramConfig.minDeposit, data);
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listingHash);
+    };
+
+    it('should keep the new data pending and open a challenge window', async () => {
+      const listing = utils.getListingHash('updated.net');
+      await utils.as(applicant, registry.apply, listing, paramConfig.minDeposit, 'firstData');
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+      assert.strictEqual((await registry.listings.call(listing))[5], 'firstData', 'the application data should have been stored');
+
+      const receipt = await utils.as(applicant, registry.updateListingData, listing, 'secondData');
+      const blockTimestamp = bigTen(await utils.getBlockTimestamp());
+      const expectedExpiry = blockTimestamp.add(paramConfig.dataUpdateStageLength);
+
+      const result = await registry.listings.call(listing);
+      assert.strictEqual(result[5], 'firstData', 'the listing data should not change during the challenge window');
+      assert.strictEqual(result[6].toString(10), expectedExpiry.toString(10), 'the challenge window should end dataUpdateStageLen from now');
+      const [, , , , pendingData, dataUpdateExpiry] = await registry.getListingStatus.call(listing);
+      assert.strictEqual(pendingData, 'secondData', 'the status should have returned the pending data');
+      assert.strictEqual(dataUpdateExpiry.toString(10), expectedExpiry.toString(10), 'the status should have returned the window\'s end');
+
+      const [updated] = receipt.logs.filter(log => log.event === '_ListingDataUpdated');
+      assert.strictEqual(updated.args.data, 'secondData', 'the event should have emitted the new data');
+      assert.strictEqual(updated.args.dataUpdateExpiry.toString(10), expectedExpiry.toString(10), 'the event should have emitted the window\'s end');
+      assert.strictEqual(updated.args.owner, applicant, 'the event should have emitted the owner');
+    });
+
+    it('should apply the pending data once the challenge window passed unchallenged', async () => {
+      const listing = utils.getListingHash('unchallenged.net');
+      await whitelist(listing, 'firstData');
+      await utils.as(applicant, registry.updateListingData, listing, 'secondData');
+
+      assert.strictEqual(await registry.dataUpdateCanBeApplied.call(listing), false, 'the data should not be applied during the window');
+      await utils.expectRevert(
+        utils.as(other, registry.updateStatus, listing),
+        'should not have been able to apply the data during the window',
+      );
+
+      await utils.increaseTime(paramConfig.dataUpdateStageLength + 1);
+      const receipt = await utils.as(other, registry.updateStatus, listing);
+      const [applied] = receipt.logs.filter(log => log.event === '_ListingDataApplied');
+      assert.strictEqual(applied.args.listingHash, listing, 'the event should have emitted the listingHash');
+      assert.strictEqual(await getData(listing), 'secondData', 'the pending data should have been applied');
+      assert.strictEqual(await getPendingData(listing), '', 'the pending data should have been cleared');
+      assert.strictEqual(await registry.dataUpdateCanBeApplied.call(listing), false, 'the data should not be applied twice');
+    });
+
+    it('should apply the pending data once a challenge during the window failed', async () => {
+      const listing = utils.getListingHash('defended.net');
+      await whitelist(listing, 'firstData');
+      await utils.as(applicant, registry.updateListingData, listing, 'secondData');
+
+      const pollID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.commitVote(pollID, '1', '10', '420', applicant, voting);
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await utils.as(applicant, voting.revealVote, pollID, '1', '420');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      assert.strictEqual(await registry.dataUpdateCanBeApplied.call(listing), false, 'the challenge should hold back the data');
+
+      await utils.as(applicant, registry.updateStatus, listing);
+      assert.strictEqual(await registry.isWhitelisted.call(listing), true, 'the listing should have been defended');
+      assert.strictEqual(await getData(listing), 'secondData', 'the failed challenge should have applied the pending data');
+    });
+
+    it('should discard the pending data when a challenge during the window succeeded', async () => {
+      const listing = utils.getListingHash('removed.net');
+      await whitelist(listing, 'firstData');
+      await utils.as(applicant, registry.updateListingData, listing, 'secondData');
+
+      const pollID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.commitVote(pollID, '0', '10', '420', other, voting);
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await utils.as(other, voting.revealVote, pollID, '0', '420');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+
+      await utils.as(challenger, registry.updateStatus, listing);
+      assert.strictEqual(await registry.isWhitelisted.call(listing), false, 'the listing should have been removed');
+      assert.strictEqual(await getPendingData(listing), '', 'the pending data should have been discarded');
+
+      await whitelist(listing, 'reapplied');
+      assert.strictEqual(await getData(listing), 'reapplied', 'the discarded data should not apply to a new application');
+      assert.strictEqual(await registry.dataUpdateCanBeApplied.call(listing), false, 'no data should be pending');
+    });
+
+    it('should revert for other accounts, applications and challenged listings', async () => {
+      const listing = utils.getListingHash('locked.net');
+      await utils.as(applicant, registry.apply, listing, paramConfig.minDeposit, '');
+      await utils.expectRevert(
+        utils.as(applicant, registry.updateListingData, listing, 'data'),
+        'should not have been able to update the data of an application',
+      );
+
+      await utils.increaseTime(paramConfig.applyStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+      await utils.expectRevert(
+        utils.as(other, registry.updateListingData, listing, 'data'),
+        'should not have been able to update the data of another account\'s listing',
+      );
+
+      await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.expectRevert(
+        utils.as(applicant, registry.updateListingData, listing, 'data'),
+        'should not have been able to update the data of a challenged listing',
+      );
+    });
+  });
+});
@@ -96,7 +96,7 @@ contract('Registry', (accounts) => {
       const resultOne = await registry.isWhitelisted(listing);
       assert.strictEqual(resultOne, true, 'Listing should have been whitelisted');
 
-      await utils.as(applicant, registry.exit, listing);
+      await utils.exitListing(listing, applicant, registry);
       const resultTwo = await registry.isWhitelisted(listing);
       assert.strictEqual(resultTwo, false, 'Listing should not be in the whitelist');
 
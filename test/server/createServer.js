@@ -0,0 +1,177 @@
+/* eslint-env mocha */
+/* global assert contract artifacts */
+const fs = require('fs');
+const http = require('http');
+const Eth = require('ethjs');
+const HttpProvider = require('ethjs-provider-http');
+
+const Indexer = require('../../lib/indexer');
+const { createServer } = require('../../lib/server');
+const utils = require('../utils.js');
+
+const config = JSON.parse(fs.readFileSync('./conf/config.json'));
+const paramConfig = config.paramDefaults;
+
+const Registry = artifacts.require('Registry.sol');
+const Parameterizer = artifacts.require('Parameterizer.sol');
+
+const provider = new HttpProvider('http://localhost:7545');
+const ethQuery = new Eth(provider);
+
+contract('Server', (accounts) => {
+  describe('Function: createServer', () => {
+    const [applicant, challenger, voterAlice] = accounts;
+
+    let token;
+    let voting;
+    let registry;
+    let bank;
+    let minDeposit;
+    let epochDuration;
+    let fromBlock;
+    let server;
+    let indexer;
+
+    const get = path => new Promise((resolve, reject) => {
+      http.get(`http://localhost:${server.address().port}${path}`, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+      }).on('error', reject);
+    });
+
+    beforeEach(async () => {
+      fromBlock = (await ethQuery.blockNumber()).toNumber() + 1;
+      const {
+        votingProxy, paramProxy, registryProxy, tokenInstance, bankInstance,
+      } = await utils.getProxies();
+      voting = votingProxy;
+      registry = registryProxy;
+      token = tokenInstance;
+      bank = bankInstance;
+      minDeposit = await paramProxy.get.call('minDeposit');
+      epochDuration = (await bank.EPOCH_DURATION.call()).toNumber();
+
+      await utils.approveProxies(accounts, token, voting, false, registry);
+
+      indexer = new Indexer({
+        provider,
+        registry: registry.address,
+        abis: { Registry: Registry.abi, Parameterizer: Parameterizer.abi },
+        fromBlock,
+      });
+      server = createServer(indexer);
+      await new Promise(resolve => server.listen(0, resolve));
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should list and filter listings', async () => {
+      const listed = utils.getListingHash('served.net');
+      const applying = utils.getListingHash('applying.net');
+      const challenged = utils.getListingHash('challengedserved.net');
+
+      await utils.addToWhitelist(listed, minDeposit, applicant, registry);
+      await utils.as(applicant, registry.apply, applying, minDeposit, '');
+      await utils.as(applicant, registry.apply, challenged, minDeposit, '');
+      await utils.challengeAndGetPollID(challenged, challenger, registry);
+      await indexer.sync();
+
+      const all = await get('/listings');
+      assert.strictEqual(all.statusCode, 200, 'should have responded with 200');
+      assert.strictEqual(all.body.total, 3, 'should have listed every listing');
+
+      const whitelisted = await get('/listings?status=whitelisted');
+      assert.deepEqual(whitelisted.body.items.map(l => l.listingHash), [listed], 'should have filtered whitelisted listings');
+
+      const inChallenge = await get('/listings?status=challenged');
+      assert.deepEqual(inChallenge.body.items.map(l => l.listingHash), [challenged], 'should have filtered challenged listings');
+
+      const page = await get('/listings?offset=1&limit=1');
+      assert.strictEqual(page.body.total, 3, 'should report the total before pagination');
+      assert.strictEqual(page.body.items.length, 1, 'should have paginated listings');
+      assert.strictEqual(page.body.items[0].listingHash, all.body.items[1].listingHash, 'should have skipped offset listings');
+
+      const invalid = await get('/listings?status=pending');
+      assert.strictEqual(invalid.statusCode, 400, 'should reject unknown statuses');
+    });
+
+    it('should return a listing and its challenge', async () => {
+      const listing = utils.getListingHash('challengeme.net');
+      await utils.as(applicant, registry.apply, listing, minDeposit, 'data');
+      const challengeID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await indexer.sync();
+
+      const { body } = await get(`/listings/${listing}`);
+      assert.strictEqual(body.data, 'data', 'should have returned the listing');
+      assert.strictEqual(body.challenged, true, 'listing should be challenged');
+
+      const challenge = await get(`/challenges/${challengeID}`);
+      assert.strictEqual(challenge.body.listingHash, listing, 'should have returned the challenge');
+
+      const missing = await get(`/listings/${utils.getListingHash('missing.net')}`);
+      assert.strictEqual(missing.statusCode, 404, 'should respond 404 for unknown listings');
+    });
+
+    it('should return the rewards claimed by a voter', async () => {
+      const listing = utils.getListingHash('rewards.net');
+      await utils.as(applicant, registry.apply, listing, minDeposit, '');
+      const pollID = await utils.challengeAndGetPollID(listing, challenger, registry);
+      await utils.commitVote(pollID, '1', '500', '420', voterAlice, voting);
+      await utils.increaseTime(paramConfig.commitStageLength + 1);
+      await utils.as(voterAlice, voting.revealVote, pollID, '1', '420');
+      await utils.increaseTime(paramConfig.revealStageLength + 1);
+      await utils.as(applicant, registry.updateStatus, listing);
+
+      const reward = await registry.voterReward.call(voterAlice, pollID, '420');
+      await utils.as(voterAlice, registry.claimReward, pollID, '420');
+
+      // the epoch's inflation goes to alice as a voter and to the applicant as the listing owner
+      const epochNumber = await utils.getChallengeEpochNumber(registry, pollID);
+      await utils.increaseTime(epochDuration);
+      await utils.as(voterAlice, registry.claimInflationRewards, pollID);
+      const inflationReward = await bank.getEpochInflationVoterRewards.call(epochNumber, voterAlice);
+      await utils.as(applicant, registry.claimStakeInflationRewards, epochNumber);
+      const stakeInflationReward = await bank.getEpochInflationStakeRewards.call(epochNumber, applicant);
+      await indexer.sync();
+
+      const { body } = await get(`/voters/${voterAlice}/rewards`);
+      assert.strictEqual(body.rewards.length, 1, 'should have returned one reward');
+      assert.strictEqual(body.rewards[0].challengeID, pollID.toString(10), 'reward should reference its challenge');
+      assert.strictEqual(body.rewards[0].reward, reward.toString(10), 'reward should have the claimed amount');
+      assert.deepEqual(body.participationRewards, [], 'alice should not have voted in the minority');
+      assert.strictEqual(body.inflationRewards.length, 1, 'should have returned one inflation reward');
+      assert.strictEqual(
+        body.inflationRewards[0].epochNumber, epochNumber.toString(10),
+        'inflation reward should reference its epoch',
+      );
+      assert.strictEqual(body.inflationRewards[0].reward, inflationReward.toString(10), 'inflation reward should have the claimed amount');
+      assert.deepEqual(body.stakeInflationRewards, [], 'alice should not have staked in the challenge');
+
+      const owner = (await get(`/voters/${applicant}/rewards`)).body;
+      assert.deepEqual(owner.rewards, [], 'the applicant should not have voted');
+      assert.strictEqual(owner.stakeInflationRewards.length, 1, 'should have returned one stake inflation reward');
+      assert.strictEqual(
+        owner.stakeInflationRewards[0].reward, stakeInflationReward.toString(10),
+        'stake inflation reward should have the claimed amount',
+      );
+    });
+
+    it('should only answer GET requests on known routes', async () => {
+      const unknown = await get('/unknown');
+      assert.strictEqual(unknown.statusCode, 404, 'should respond 404 for unknown routes');
+
+      const statusCode = await new Promise((resolve, reject) => {
+        http.request({
+          port: server.address().port, path: '/listings', method: 'POST',
+        }, (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        }).on('error', reject).end();
+      });
+      assert.strictEqual(statusCode, 405, 'should respond 405 for other methods');
+    });
+  });
+});
@@ -4,9 +4,10 @@
 const Eth = require('ethjs');
 const HttpProvider = require('ethjs-provider-http');
 const EthRPC = require('ethjs-rpc');
-const abi = require('ethereumjs-abi');
 const fs = require('fs');
 
+const libUtils = require('../lib/utils');
+
 const ethRPC = new EthRPC(new HttpProvider('http://localhost:7545'));
 const ethQuery = new Eth(new HttpProvider('http://localhost:7545'));
 
@@ -20,6 +21,7 @@ const RegistryFactory = artifacts.require('RegistryFactory.sol');
 
 const config = JSON.parse(fs.readFileSync('./conf/config.json'));
 const paramConfig = config.paramDefaults;
+const bankConfig = config.bankDefaults;
 
 const BN = small => new Eth.BN(small.toString(10), 10);
 
@@ -123,6 +125,8 @@ const utils = {
 
   getProxies: async () => {
     const registryFactory = await RegistryFactory.deployed();
+    const bankReserve =
+      BN(config.token.supply).mul(BN(config.token.bankReservePct)).div(BN(100));
     const registryReceipt = await registryFactory.newRegistryWithToken(
       config.token.supply,
       config.token.name,
@@ -141,8 +145,27 @@ const utils = {
         paramConfig.pDispensationPct,
         paramConfig.voteQuorum,
         paramConfig.pVoteQuorum,
+        paramConfig.minorityParticipationPct,
+        paramConfig.emissionParameter,
+        paramConfig.resolverBountyPct,
+        paramConfig.challengerInflationPct,
+        paramConfig.listingOwnerInflationPct,
+        paramConfig.dataUpdateStageLength,
+        paramConfig.exitTimeDelay,
+        paramConfig.exitPeriodLength,
+        paramConfig.appealWindowLength,
+        paramConfig.appealStakeMultiplier,
+        paramConfig.appealCommitStageLength,
+        paramConfig.appealRevealStageLength,
       ],
       config.name,
+      [
+        bankConfig.epochDuration,
+        bankConfig.inflationClaimPeriod,
+        bankConfig.emissionSchedule,
+        bankConfig.emissionAmount,
+      ],
+      bankReserve.toString(10),
     );
 
     const {
@@ -150,18 +173,14 @@ const utils = {
       plcr,
       parameterizer,
       registry,
+      bank,
     } = registryReceipt.logs[0].args;
 
     const tokenInstance = Token.at(token);
     const votingProxy = PLCRVoting.at(plcr);
     const paramProxy = Parameterizer.at(parameterizer);
     const registryProxy = Registry.at(registry);
-
-    // transfer 1/2 of the totalSupply
-    const bankReserve = (await tokenInstance.totalSupply.call()).div('2');
-    const bankAddress = await registryProxy.bank.call();
-    const bankInstance = Bank.at(bankAddress);
-    await tokenInstance.transfer(bankAddress, bankReserve);
+    const bankInstance = Bank.at(bank);
 
     const proxies = {
       tokenInstance,
@@ -204,13 +223,9 @@ const utils = {
         resolve();
       }))),
 
-  getVoteSaltHash: (vote, salt) => (
-    `0x${abi.soliditySHA3(['uint', 'uint'], [vote, salt]).toString('hex')}`
-  ),
+  getVoteSaltHash: libUtils.getVoteSaltHash,
 
-  getListingHash: domain => (
-    `0x${abi.soliditySHA3(['string'], [domain]).toString('hex')}`
-  ),
+  getListingHash: libUtils.getListingHash,
 
   approvePLCR: async (address, adtAmount) => {
     const registry = await Registry.deployed();
@@ -225,6 +240,12 @@ const utils = {
     await utils.as(actor, registry.updateStatus, domain);
   },
 
+  exitListing: async (domain, actor, registry) => {
+    await utils.as(actor, registry.initExit, domain);
+    await utils.increaseTime(paramConfig.exitTimeDelay + 1);
+    await utils.as(actor, registry.finalizeExit, domain);
+  },
+
   as: (actor, fn, ...args) => {
     function detectSendObject(potentialSendObj) {
       function hasOwnProperty(obj, prop) {
@@ -283,12 +304,7 @@ const utils = {
     await utils.as(voter, voting.commitVote, pollID, hash, tokensArg, prevPollID);
   },
 
-  getReceiptValue: (receipt, arg, event) => {
-    if (event) {
-      return (receipt.logs.filter(log => log.event === event)[0]).args[arg];
-    }
-    return receipt.logs[0].args[arg];
-  },
+  getReceiptValue: libUtils.getReceiptValue,
 
   proposeReparamAndGetPropID: async (reParam, value, actor, parameterizer) => {
     const receipt = await utils.as(actor, parameterizer.proposeReparameterization, reParam, value);
@@ -318,6 +334,26 @@ const utils = {
     return utils.multiplyFromWei(x, weiQuotient);
   },
 
+  // Returns the bounties paid to the resolver of the epochs a transaction resolved
+  getResolverBounty: receipt => receipt.logs
+    .filter(log => log.event === '_EpochResolved')
+    .reduce((total, log) => log.args.resolverBounty.add(total), 0),
+
+  // Returns the share of an epoch's released inflation its majority faction voters split
+  getVoterInflation: async (bank, epochNumber, releasedInflation) => {
+    const [, bountyPct, challengerPct, listingOwnerPct] = await bank.getParameters.call(epochNumber);
+    const stakeholderPct = challengerPct.add(listingOwnerPct);
+    const resolverBounty = releasedInflation.mul(bountyPct).div(100).floor();
+    return releasedInflation.sub(resolverBounty).mul(stakeholderPct.neg().add(100)).div(100)
+      .floor();
+  },
+
+  // Returns the inflation an epoch's successful challengers and defended listings' owners share
+  getStakeInflation: async (bank, epochNumber) => {
+    const stakeDetails = await bank.getEpochStakeDetails.call(epochNumber);
+    return stakeDetails[1].add(stakeDetails[3]);
+  },
+
   getChallengeEpochNumber: async (registry, pollID) => {
     const challenge = await registry.challenges.call(pollID);
     return challenge[6];
@@ -0,0 +1,93 @@
+/* eslint-env mocha */
+/* global assert contract */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Vault = require('../../lib/vault');
+
+contract('Vault', (accounts) => {
+  describe('Vault', () => {
+    const [voterAlice, voterBob] = accounts;
+
+    let file;
+
+    beforeEach(async () => {
+      file = path.join(os.tmpdir(), `pm-tcr-vault-${Date.now()}.json`);
+    });
+
+    afterEach(async () => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should persist encrypted votes keyed by pollID and voter', async () => {
+      const salt = Vault.generateSalt();
+      const vault = new Vault({ path: file, password: 'password' });
+      vault.put({
+        pollID: 1, voter: voterAlice, voteOption: 1, salt, numTokens: 500,
+      });
+      vault.put({
+        pollID: 1, voter: voterBob, voteOption: 0, salt: '420', numTokens: 200,
+      });
+
+      assert.notInclude(fs.readFileSync(file, 'utf8'), salt, 'the salt should not be stored in plaintext');
+
+      const reopened = new Vault({ path: file, password: 'password' });
+      assert.deepEqual(reopened.get('1', voterAlice.toUpperCase()), {
+        pollID: '1',
+        voter: voterAlice.toLowerCase(),
+        voteOption: '1',
+        salt,
+        numTokens: '500',
+        revealed: false,
+      }, 'the vote should have been restored');
+      assert.strictEqual(reopened.get(1, voterBob).salt, '420', 'votes should be keyed by voter');
+      assert.strictEqual(reopened.list(voterBob).length, 1, 'should list the votes of one voter');
+    });
+
+    it('should refuse to open a vault with the wrong password', async () => {
+      const vault = new Vault({ path: file, password: 'password' });
+      vault.put({
+        pollID: 1, voter: voterAlice, voteOption: 1, salt: '420', numTokens: 500,
+      });
+
+      try {
+        // eslint-disable-next-line no-new
+        new Vault({ path: file, password: 'wrong' });
+        assert(false, 'should not have decrypted the vault');
+      } catch (err) {
+        assert.include(err.message, 'wrong password', 'should have reported the wrong password');
+      }
+    });
+
+    it('should export and import votes', async () => {
+      const vault = new Vault({ password: 'password' });
+      vault.put({
+        pollID: 1, voter: voterAlice, voteOption: 1, salt: '420', numTokens: 500,
+      });
+      vault.put({
+        pollID: 2, voter: voterAlice, voteOption: 0, salt: '421', numTokens: 500,
+      });
+      const exported = vault.export('backup');
+
+      const other = new Vault({ password: 'other' });
+      other.put({
+        pollID: 2, voter: voterAlice, voteOption: 1, salt: '999', numTokens: 100,
+      });
+      assert.strictEqual(other.import(exported, 'backup'), 1, 'should only have imported the missing vote');
+      assert.strictEqual(other.get(1, voterAlice).salt, '420', 'should have imported the vote');
+      assert.strictEqual(other.get(2, voterAlice).salt, '999', 'should have kept the stored vote');
+
+      other.import(exported, 'backup', { overwrite: true });
+      assert.strictEqual(other.get(2, voterAlice).salt, '421', 'should have overwritten the stored vote');
+    });
+
+    it('should generate distinct base 10 salts', async () => {
+      const salts = [Vault.generateSalt(), Vault.generateSalt()];
+      assert(/^\d+$/.test(salts[0]), 'salt should be a base 10 string');
+      assert.notStrictEqual(salts[0], salts[1], 'salts should be random');
+    });
+  });
+});